@@ -0,0 +1,91 @@
+/**
+ * Cache backend selection. Every backend implements the same interface, so the server
+ * behaves identically regardless of where derivatives are stored:
+ *
+ * - `name` / `location`: identification for logs and `/stats`
+ * - `read(key)` → `{ body, headers, status, statusText, isTransparent, tier }` or null
+ * - `readMetadata(key)` → stored metadata JSON (headers, status, etag, lastModified, …) plus `tier`, or null
+ * - `write(key, data, headers, status, statusText, isTransparent)` → false if storing failed (logged, never thrown)
+ * - `delete(key)` → true if anything was removed
+ * - `stats()` → summary for `/stats`
+ * - `list()` → async iterable of cache keys
+ * - `acquireLock(key)` / `releaseLock(key)`: optional cross-replica render lock
+ * - `indexSource(src, key)`: remember that `key` was rendered from source URL `src`
+ * - `sourceKeys(src)` → cache keys indexed for `src`
+ * - `indexedSources(prefix)` → async iterable of indexed source URLs starting with `prefix`
+ * - `dropSourceIndex(src)`: forget `src` after its derivatives were deleted
+ *
+ * `tier` names the store that served a hit ("memory", "disk", "s3") for the X-Cache header.
+ *
+ * CACHE_BACKEND=disk|s3|memory|none (default disk). CACHE_ENABLED=false still disables caching.
+ * MEMORY_TIER_MB puts an in-process memory LRU of that size in front of disk or S3.
+ */
+import { createDiskCache } from "./disk-cache.js";
+import { createS3Cache } from "./s3-cache.js";
+import { createMemoryCache } from "./memory-cache.js";
+import { createTieredCache } from "./tiered-cache.js";
+
+export const CACHE_BACKENDS = ["disk", "s3", "memory", "none"];
+
+const memoryTierBytes = Math.round(parseFloat(process?.env?.MEMORY_TIER_MB || "0") * 1024 * 1024) || 0;
+
+function createNoCache() {
+    return {
+        name: "none",
+        location: null,
+        read: async () => null,
+        readMetadata: async () => null,
+        write: async () => true,
+        delete: async () => false,
+        stats: async () => ({
+            cacheEnabled: false,
+            cacheBackend: "none",
+            cacheDir: null,
+            entries: 0,
+            imageMB: 0,
+            metadataMB: 0,
+            totalMB: 0,
+            normalImages: { count: 0, sizeMB: 0 },
+            transparentImages: { count: 0, sizeMB: 0 },
+            uncategorizedImages: { count: 0, sizeMB: 0 },
+        }),
+        list: async function* () {},
+        indexSource: async () => {},
+        sourceKeys: async () => [],
+        indexedSources: async function* () {},
+        dropSourceIndex: async () => {},
+    };
+}
+
+/**
+ * Resolve the configured backend name from the environment.
+ * @returns {string} one of CACHE_BACKENDS
+ */
+export function configuredCacheBackend() {
+    if (process?.env?.CACHE_ENABLED === "false") return "none";
+    const name = (process?.env?.CACHE_BACKEND || "disk").trim().toLowerCase();
+    if (!CACHE_BACKENDS.includes(name)) {
+        throw new Error(`Unknown CACHE_BACKEND "${name}" (expected one of: ${CACHE_BACKENDS.join(", ")})`);
+    }
+    return name;
+}
+
+/**
+ * @param {string} [name] - defaults to configuredCacheBackend()
+ */
+export function createCacheBackend(name = configuredCacheBackend()) {
+    switch (name) {
+        case "disk":
+        case "s3": {
+            const store = name === "disk" ? createDiskCache() : createS3Cache();
+            if (memoryTierBytes <= 0) return store;
+            return createTieredCache(createMemoryCache({ maxBytes: memoryTierBytes }), store);
+        }
+        case "memory":
+            return createMemoryCache();
+        case "none":
+            return createNoCache();
+        default:
+            throw new Error(`Unknown CACHE_BACKEND "${name}" (expected one of: ${CACHE_BACKENDS.join(", ")})`);
+    }
+}
@@ -0,0 +1,138 @@
+import { readdir, stat, unlink } from "node:fs/promises";
+import { join } from "node:path";
+
+/** Evict down to this fraction of the configured limits so we don't evict on every run. */
+const LOW_WATER_RATIO = 0.9;
+const STAT_BATCH_SIZE = 64;
+
+/**
+ * Collect every cache entry (image + `.json` metadata pair) in one directory.
+ * Last access is the metadata file's mtime, which readFromCache() bumps on every hit.
+ * Images without metadata are still counted so they can be evicted too.
+ */
+async function collectDirectoryEntries(dirPath, entries) {
+    let dirEntries;
+    try {
+        dirEntries = await readdir(dirPath, { withFileTypes: true });
+    } catch {
+        return;
+    }
+    const files = dirEntries.filter((e) => e.isFile()).map((e) => e.name);
+    const names = new Set(files);
+    const bases = files.filter((name) => !name.endsWith(".json") || !names.has(name.slice(0, -5)));
+
+    for (let i = 0; i < bases.length; i += STAT_BATCH_SIZE) {
+        const batch = bases.slice(i, i + STAT_BATCH_SIZE);
+        const results = await Promise.all(batch.map(async (name) => {
+            const paths = [join(dirPath, name)];
+            if (!name.endsWith(".json") && names.has(`${name}.json`)) {
+                paths.push(join(dirPath, `${name}.json`));
+            }
+            const stats = await Promise.all(paths.map((p) => stat(p).catch(() => null)));
+            const present = stats.filter(Boolean);
+            if (present.length === 0) return null;
+            return {
+                key: name.endsWith(".json") ? name.slice(0, -5) : name,
+                paths,
+                size: present.reduce((sum, s) => sum + s.size, 0),
+                lastAccess: Math.max(...present.map((s) => s.mtimeMs)),
+            };
+        }));
+        for (const entry of results) {
+            if (entry) entries.push(entry);
+        }
+    }
+}
+
+/**
+ * Background LRU evictor for the sharded disk cache.
+ * @param {{ cacheDir: string, maxBytes: number, maxEntries: number, intervalMs: number,
+ *   onEvict?: (key: string) => Promise<void> }} options
+ *   `maxBytes` / `maxEntries` of 0 mean unlimited; with both at 0 the evictor is disabled.
+ *   `onEvict` runs after each evicted entry's files are removed (e.g. to drop its source index marker).
+ */
+export function createCacheEvictor({ cacheDir, maxBytes, maxEntries, intervalMs, onEvict }) {
+    const enabled = maxBytes > 0 || maxEntries > 0;
+    const counters = {
+        runs: 0,
+        evictedEntries: 0,
+        evictedBytes: 0,
+        lastRunAt: null,
+        lastRunMs: 0,
+    };
+    let running = null;
+
+    async function evict() {
+        const startedAt = Date.now();
+        const entries = [];
+        await collectDirectoryEntries(cacheDir, entries);
+        let subdirs = [];
+        try {
+            const topEntries = await readdir(cacheDir, { withFileTypes: true });
+            subdirs = topEntries.filter((e) => e.isDirectory() && /^[0-9a-f]{2}$/i.test(e.name)).map((e) => e.name);
+        } catch {
+            // Cache directory doesn't exist yet - nothing to evict
+        }
+        for (const subdir of subdirs) {
+            await collectDirectoryEntries(join(cacheDir, subdir), entries);
+        }
+
+        let totalBytes = entries.reduce((sum, e) => sum + e.size, 0);
+        let totalEntries = entries.length;
+        const overBytes = maxBytes > 0 && totalBytes > maxBytes;
+        const overEntries = maxEntries > 0 && totalEntries > maxEntries;
+        if (overBytes || overEntries) {
+            const targetBytes = maxBytes > 0 ? maxBytes * LOW_WATER_RATIO : Infinity;
+            const targetEntries = maxEntries > 0 ? Math.floor(maxEntries * LOW_WATER_RATIO) : Infinity;
+            entries.sort((a, b) => a.lastAccess - b.lastAccess);
+            for (const entry of entries) {
+                if (totalBytes <= targetBytes && totalEntries <= targetEntries) break;
+                await Promise.all(entry.paths.map((p) => unlink(p).catch(() => {})));
+                await onEvict?.(entry.key);
+                totalBytes -= entry.size;
+                totalEntries--;
+                counters.evictedEntries++;
+                counters.evictedBytes += entry.size;
+            }
+        }
+
+        counters.runs++;
+        counters.lastRunAt = new Date(startedAt).toISOString();
+        counters.lastRunMs = Date.now() - startedAt;
+    }
+
+    /** Run one eviction pass; concurrent callers share the pass already in progress. */
+    function runOnce() {
+        if (!enabled) return Promise.resolve();
+        if (!running) {
+            running = evict()
+                .catch((err) => console.error("Cache eviction failed", err))
+                .finally(() => {
+                    running = null;
+                });
+        }
+        return running;
+    }
+
+    function start() {
+        if (!enabled) return;
+        runOnce();
+        const timer = setInterval(runOnce, intervalMs);
+        timer.unref?.();
+    }
+
+    function getStats() {
+        return {
+            enabled,
+            maxMB: maxBytes > 0 ? Number((maxBytes / (1024 * 1024)).toFixed(2)) : null,
+            maxEntries: maxEntries > 0 ? maxEntries : null,
+            runs: counters.runs,
+            evictedEntries: counters.evictedEntries,
+            evictedMB: Number((counters.evictedBytes / (1024 * 1024)).toFixed(2)),
+            lastRunAt: counters.lastRunAt,
+            lastRunMs: counters.lastRunMs,
+        };
+    }
+
+    return { enabled, start, runOnce, getStats };
+}
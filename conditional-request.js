@@ -0,0 +1,65 @@
+import { createHash } from "node:crypto";
+
+/** Headers a 304 must repeat from the full response (RFC 9110 §15.4.5). */
+const NOT_MODIFIED_HEADERS = ["cache-control", "content-location", "etag", "expires", "last-modified", "vary"];
+
+/**
+ * Strong ETag for a derivative: stable for the same cache key and output bytes, so every
+ * instance sharing a cache hands out the same validator.
+ * @param {string} cacheKey
+ * @param {ArrayBuffer | Uint8Array} data
+ */
+export function createDerivativeEtag(cacheKey, data) {
+    const hash = createHash("sha256");
+    hash.update(cacheKey);
+    hash.update(new Uint8Array(data));
+    return `"${hash.digest("hex").substring(0, 32)}"`;
+}
+
+/** True if the request carries validators we can answer from cache metadata alone. */
+export function isConditionalRequest(req) {
+    return req.headers.has("if-none-match") || req.headers.has("if-modified-since");
+}
+
+function stripWeakPrefix(tag) {
+    return tag.startsWith("W/") ? tag.slice(2) : tag;
+}
+
+/**
+ * Evaluate `If-None-Match` / `If-Modified-Since` against stored validators.
+ * If-Modified-Since is ignored when If-None-Match is present, as RFC 9110 requires.
+ * @param {Request} req
+ * @param {{ etag?: string, lastModified?: string }} meta - cache metadata
+ */
+export function isNotModified(req, meta) {
+    const ifNoneMatch = req.headers.get("if-none-match");
+    if (ifNoneMatch) {
+        if (!meta.etag) return false;
+        if (ifNoneMatch.trim() === "*") return true;
+        const target = stripWeakPrefix(meta.etag);
+        return ifNoneMatch.split(",").some((tag) => stripWeakPrefix(tag.trim()) === target);
+    }
+    const ifModifiedSince = req.headers.get("if-modified-since");
+    if (ifModifiedSince && meta.lastModified) {
+        const since = Date.parse(ifModifiedSince);
+        const modified = Date.parse(meta.lastModified);
+        if (Number.isNaN(since) || Number.isNaN(modified)) return false;
+        // HTTP dates have second precision
+        return Math.floor(modified / 1000) <= Math.floor(since / 1000);
+    }
+    return false;
+}
+
+/**
+ * Build a 304 response from the stored response headers.
+ * @param {[string, string][]} storedHeaders - `headers` entries from cache metadata
+ */
+export function notModifiedResponse(storedHeaders) {
+    const headers = new Headers();
+    for (const [name, value] of storedHeaders || []) {
+        if (NOT_MODIFIED_HEADERS.includes(name.toLowerCase())) {
+            headers.set(name, value);
+        }
+    }
+    return new Response(null, { status: 304, headers });
+}
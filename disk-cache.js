@@ -0,0 +1,573 @@
+/**
+ * Disk cache backend: derivatives stored under CACHE_DIR in 256 shard directories
+ * (first two hex chars of the cache key), each image next to its `.json` metadata.
+ * Optional: CACHE_MAX_MB / CACHE_MAX_ENTRIES for background LRU eviction.
+ *
+ * Source index (for purges): `.sources/<shard>/<sha256(src)>/` holds a `src` file with the
+ * source URL plus one empty file per cache key rendered from it, so concurrent writers
+ * never rewrite a shared file. `.source-keys/<shard>/<key>` holds the source's index id, so
+ * deleting or evicting a derivative also drops its marker.
+ */
+import { mkdir, readFile, writeFile, access, readdir, stat, utimes, unlink, rm } from "node:fs/promises";
+import { constants as fsConstants } from "node:fs";
+import { createHash } from "node:crypto";
+import { join } from "node:path";
+import { createCacheEvictor } from "./cache-eviction.js";
+
+const cacheDir = process?.env?.CACHE_DIR || "./cache";
+// LRU eviction limits for the disk cache (0 = unlimited)
+const cacheMaxBytes = Math.round(parseFloat(process?.env?.CACHE_MAX_MB || "0") * 1024 * 1024) || 0;
+const cacheMaxEntries = parseInt(process?.env?.CACHE_MAX_ENTRIES || "0") || 0;
+const cacheEvictionIntervalMs = (parseInt(process?.env?.CACHE_EVICTION_INTERVAL_SECONDS || "300") || 300) * 1000;
+const cacheLockTimeoutMs = parseInt(process?.env?.CACHE_LOCK_TIMEOUT_MS || "15000") || 15000;
+let cacheInitialized = false;
+
+const cacheEvictor = createCacheEvictor({
+    cacheDir,
+    maxBytes: cacheMaxBytes,
+    maxEntries: cacheMaxEntries,
+    intervalMs: cacheEvictionIntervalMs,
+    onEvict: dropIndexedKey,
+});
+
+export function createDiskCache() {
+    cacheEvictor.start();
+    return {
+        name: "disk",
+        location: cacheDir,
+        read: readFromCache,
+        readMetadata: readCacheMetadata,
+        write: writeToCache,
+        delete: deleteFromCache,
+        stats: getCacheStats,
+        list: listCacheKeys,
+        acquireLock: acquireRenderLock,
+        releaseLock: releaseRenderLock,
+        indexSource,
+        sourceKeys,
+        indexedSources,
+        dropSourceIndex,
+    };
+}
+
+async function ensureCacheDir() {
+    if (cacheInitialized) return;
+    await mkdir(cacheDir, { recursive: true });
+    cacheInitialized = true;
+}
+
+// Get sharded cache path: use first 2 chars of hash to create subdirectories
+// This prevents performance issues with thousands of files in a single directory
+function getShardedCachePath(key) {
+    if (key.length < 2) {
+        // Fallback for edge cases (shouldn't happen with SHA256)
+        return join(cacheDir, key);
+    }
+    const subdir = key.substring(0, 2);
+    return join(cacheDir, subdir, key);
+}
+
+async function readFromCache(key) {
+    try {
+        const filePath = getShardedCachePath(key);
+        const metaPath = `${filePath}.json`;
+        await ensureCacheDir();
+        await Promise.all([
+            access(filePath, fsConstants.F_OK),
+            access(metaPath, fsConstants.F_OK)
+        ]);
+        const [body, metaRaw] = await Promise.all([
+            readFile(filePath),
+            readFile(metaPath, "utf8")
+        ]);
+        const meta = JSON.parse(metaRaw);
+        const headers = new Headers(meta.headers || []);
+        touchCacheEntry(metaPath);
+        return {
+            body,
+            headers,
+            status: meta.status || 200,
+            statusText: meta.statusText || "OK",
+            isTransparent: meta.isTransparent === true,
+            tier: "disk"
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Read only the metadata JSON of a cache entry (used to answer conditional requests)
+async function readCacheMetadata(key) {
+    try {
+        const metaPath = `${getShardedCachePath(key)}.json`;
+        await ensureCacheDir();
+        const meta = JSON.parse(await readFile(metaPath, "utf8"));
+        touchCacheEntry(metaPath);
+        return { ...meta, tier: "disk" };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Metadata mtime is the entry's last access time for LRU eviction
+function touchCacheEntry(metaPath) {
+    if (!cacheEvictor.enabled) return;
+    const now = new Date();
+    utimes(metaPath, now, now).catch(() => {});
+}
+
+async function writeToCache(key, data, headers, status, statusText, isTransparent = false) {
+    try {
+        await ensureCacheDir();
+        const filePath = getShardedCachePath(key);
+        const metaPath = `${filePath}.json`;
+        
+        // Ensure subdirectory exists for sharded path
+        const subdir = join(cacheDir, key.substring(0, 2));
+        await mkdir(subdir, { recursive: true });
+        
+        const serializedHeaders = Array.from(headers.entries()).filter(
+            ([name]) => name.toLowerCase() !== "x-cache"
+        );
+        
+        const metadata = {
+            headers: serializedHeaders,
+            status,
+            statusText,
+            etag: headers.get("etag"),
+            lastModified: headers.get("last-modified"),
+            isTransparent // Track if image has transparent background
+        };
+        
+        // Write both image and metadata - ensure both succeed
+        const metadataJson = JSON.stringify(metadata);
+        
+        const [imageResult, metaResult] = await Promise.allSettled([
+            writeFile(filePath, new Uint8Array(data)),
+            writeFile(metaPath, metadataJson)
+        ]);
+        
+        if (imageResult.status === 'rejected') {
+            console.error("Failed to write image cache file:", imageResult.reason);
+        }
+        
+        if (metaResult.status === 'rejected') {
+            console.error("Failed to write image cache metadata:", metaResult.reason);
+        }
+        return imageResult.status === 'fulfilled' && metaResult.status === 'fulfilled';
+    } catch (err) {
+        console.error("Failed to write image cache", err);
+        return false;
+    }
+}
+
+async function deleteFromCache(key) {
+    const filePath = getShardedCachePath(key);
+    const results = await Promise.allSettled([
+        unlink(filePath),
+        unlink(`${filePath}.json`)
+    ]);
+    await dropIndexedKey(key);
+    return results.some((r) => r.status === "fulfilled");
+}
+
+// Yield every cache key, legacy root-level entries first, then each shard directory
+async function* listCacheKeys() {
+    const dirs = [cacheDir];
+    try {
+        const topEntries = await readdir(cacheDir, { withFileTypes: true });
+        for (const e of topEntries) {
+            if (e.isDirectory() && /^[0-9a-f]{2}$/i.test(e.name)) dirs.push(join(cacheDir, e.name));
+        }
+    } catch {
+        return;
+    }
+    for (const dir of dirs) {
+        let entries;
+        try {
+            entries = await readdir(dir, { withFileTypes: true });
+        } catch {
+            continue;
+        }
+        for (const e of entries) {
+            if (e.isFile() && e.name.endsWith(".json")) yield e.name.slice(0, -5);
+        }
+    }
+}
+
+function getSourceIndexId(src) {
+    return createHash("sha256").update(src).digest("hex");
+}
+
+function getSourceIndexDir(src) {
+    return getSourceIndexDirById(getSourceIndexId(src));
+}
+
+function getSourceIndexDirById(id) {
+    return join(cacheDir, ".sources", id.substring(0, 2), id);
+}
+
+// Reverse marker (cache key -> source index id); outside `.sources` so indexedSources() never sees it
+function getSourceKeyPath(key) {
+    return join(cacheDir, ".source-keys", key.substring(0, 2), key);
+}
+
+async function indexSource(src, key) {
+    try {
+        const id = getSourceIndexId(src);
+        const dir = getSourceIndexDirById(id);
+        const keyPath = getSourceKeyPath(key);
+        await Promise.all([
+            mkdir(dir, { recursive: true }),
+            mkdir(join(keyPath, ".."), { recursive: true })
+        ]);
+        await Promise.all([
+            writeFile(join(dir, "src"), src),
+            writeFile(join(dir, key), ""),
+            writeFile(keyPath, id)
+        ]);
+    } catch (err) {
+        console.error("Failed to update source index", err);
+    }
+}
+
+async function sourceKeys(src) {
+    try {
+        const names = await readdir(getSourceIndexDir(src));
+        return names.filter((name) => name !== "src");
+    } catch {
+        return [];
+    }
+}
+
+// Yield every indexed source URL starting with `prefix`
+async function* indexedSources(prefix = "") {
+    const root = join(cacheDir, ".sources");
+    let shards;
+    try {
+        shards = await readdir(root);
+    } catch {
+        return;
+    }
+    for (const shard of shards) {
+        let ids;
+        try {
+            ids = await readdir(join(root, shard));
+        } catch {
+            continue;
+        }
+        for (const id of ids) {
+            try {
+                const src = await readFile(join(root, shard, id, "src"), "utf8");
+                if (src.startsWith(prefix)) yield src;
+            } catch {
+                // Index entry without its src file - skip
+            }
+        }
+    }
+}
+
+async function dropSourceIndex(src) {
+    const dir = getSourceIndexDir(src);
+    const keys = await sourceKeys(src);
+    await Promise.all(keys.map((key) => unlink(getSourceKeyPath(key)).catch(() => {})));
+    await rm(dir, { recursive: true, force: true });
+}
+
+// Remove a deleted or evicted key from its source's index, and the source once no keys remain
+async function dropIndexedKey(key) {
+    const keyPath = getSourceKeyPath(key);
+    let id;
+    try {
+        id = await readFile(keyPath, "utf8");
+    } catch {
+        return;
+    }
+    const dir = getSourceIndexDirById(id);
+    await Promise.allSettled([unlink(join(dir, key)), unlink(keyPath)]);
+    try {
+        const names = await readdir(dir);
+        if (names.every((name) => name === "src")) await rm(dir, { recursive: true, force: true });
+    } catch {
+        // Source index already gone
+    }
+}
+
+// Lock files live in a non-shard directory so stats and eviction never see them
+function getLockPath(key) {
+    return join(cacheDir, ".locks", key);
+}
+
+// Returns false only if another replica currently holds the lock for this key
+async function acquireRenderLock(key) {
+    const lockPath = getLockPath(key);
+    try {
+        await mkdir(join(cacheDir, ".locks"), { recursive: true });
+        await writeFile(lockPath, String(Date.now()), { flag: "wx" });
+        return true;
+    } catch (err) {
+        if (err.code !== "EEXIST") {
+            console.warn("Failed to create render lock, rendering without it:", err.message);
+            return true;
+        }
+    }
+    try {
+        // Take over locks left behind by a crashed replica
+        const { mtimeMs } = await stat(lockPath);
+        if (Date.now() - mtimeMs < cacheLockTimeoutMs) return false;
+        await unlink(lockPath);
+        await writeFile(lockPath, String(Date.now()), { flag: "wx" });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function releaseRenderLock(key) {
+    await unlink(getLockPath(key)).catch(() => {});
+}
+
+// Helper: process a single JSON metadata file; only mutates dirStats (per-directory stats)
+async function processOneMetadataFile(dirPath, entry, dirStats) {
+    const filePath = join(dirPath, entry.name);
+    let size;
+    try {
+        size = (await stat(filePath)).size;
+    } catch {
+        return { processedFiles: [] };
+    }
+    dirStats.metadataBytes += size;
+    if (size === 0) return { processedFiles: [] };
+
+    try {
+        const metaRaw = await readFile(filePath, "utf8");
+        if (!metaRaw || metaRaw.trim() === "") return { processedFiles: [] };
+        const meta = JSON.parse(metaRaw);
+        const baseName = entry.name.replace(".json", "");
+        const imageFilePath = join(dirPath, baseName);
+        try {
+            await access(imageFilePath, fsConstants.F_OK);
+            const imageSize = (await stat(imageFilePath)).size;
+            if (imageSize === 0) return { processedFiles: [imageFilePath] };
+
+            if (meta.isTransparent === true) {
+                dirStats.transparentCount++;
+                dirStats.transparentBytes += imageSize;
+            } else {
+                dirStats.normalCount++;
+                dirStats.normalBytes += imageSize;
+            }
+            dirStats.imageBytes += imageSize;
+            dirStats.count++;
+            return { processedFiles: [imageFilePath] };
+        } catch {
+            return { processedFiles: [] };
+        }
+    } catch {
+        return { processedFiles: [] };
+    }
+}
+
+const STATS_BATCH_SIZE = 64; // parallel file ops per directory
+
+// Helper: process one directory and accumulate into dirStats only (no shared state)
+async function processCacheDirectory(dirPath, dirStats) {
+    try {
+        const entries = await readdir(dirPath, { withFileTypes: true });
+        const processedFiles = new Set();
+
+        const jsonEntries = entries.filter(e => e.isFile() && e.name.endsWith(".json"));
+        for (let i = 0; i < jsonEntries.length; i += STATS_BATCH_SIZE) {
+            const batch = jsonEntries.slice(i, i + STATS_BATCH_SIZE);
+            const results = await Promise.all(
+                batch.map((entry) => processOneMetadataFile(dirPath, entry, dirStats))
+            );
+            for (const r of results) {
+                for (const p of r.processedFiles) processedFiles.add(p);
+            }
+        }
+
+        const nonJsonFiles = entries.filter(e => e.isFile() && !e.name.endsWith(".json"));
+        for (const entry of nonJsonFiles) {
+            const filePath = join(dirPath, entry.name);
+            if (processedFiles.has(filePath)) continue;
+            try {
+                const size = (await stat(filePath)).size;
+                if (size > 0) {
+                    dirStats.uncategorizedCount++;
+                    dirStats.uncategorizedBytes += size;
+                    dirStats.imageBytes += size;
+                    dirStats.count++;
+                    processedFiles.add(filePath);
+                }
+            } catch {
+                // ignore
+            }
+        }
+    } catch (e) {
+        // Directory doesn't exist or can't be read - skip
+    }
+}
+
+function mergeDirStatsIntoStats(dirStats, stats) {
+    stats.imageBytes += dirStats.imageBytes;
+    stats.metadataBytes += dirStats.metadataBytes;
+    stats.normalCount += dirStats.normalCount;
+    stats.normalBytes += dirStats.normalBytes;
+    stats.transparentCount += dirStats.transparentCount;
+    stats.transparentBytes += dirStats.transparentBytes;
+    stats.uncategorizedCount += dirStats.uncategorizedCount;
+    stats.uncategorizedBytes += dirStats.uncategorizedBytes;
+}
+
+async function getCacheStats() {
+    await ensureCacheDir();
+
+    const stats = {
+        imageBytes: 0,
+        metadataBytes: 0,
+        normalCount: 0,
+        normalBytes: 0,
+        transparentCount: 0,
+        transparentBytes: 0,
+        uncategorizedCount: 0,
+        uncategorizedBytes: 0
+    };
+
+    const directoryStats = new Map(); // Track stats per directory
+
+    // Process root directory (for backwards compatibility with old cache files)
+    const rootDirStats = {
+        count: 0,
+        imageBytes: 0,
+        metadataBytes: 0,
+        normalCount: 0,
+        normalBytes: 0,
+        transparentCount: 0,
+        transparentBytes: 0,
+        uncategorizedCount: 0,
+        uncategorizedBytes: 0
+    };
+    await processCacheDirectory(cacheDir, rootDirStats);
+    mergeDirStatsIntoStats(rootDirStats, stats);
+    if (rootDirStats.count > 0) {
+        directoryStats.set("(root)", rootDirStats);
+    }
+
+    // Process only existing sharded subdirectories, in parallel
+    let subdirs = [];
+    try {
+        const topEntries = await readdir(cacheDir, { withFileTypes: true });
+        subdirs = topEntries.filter((e) => e.isDirectory() && /^[0-9a-f]{2}$/i.test(e.name)).map((e) => e.name);
+    } catch (e) {
+        // ignore
+    }
+
+    const subdirResults = await Promise.all(
+        subdirs.map(async (subdir) => {
+            const dirStats = {
+                count: 0,
+                imageBytes: 0,
+                metadataBytes: 0,
+                normalCount: 0,
+                normalBytes: 0,
+                transparentCount: 0,
+                transparentBytes: 0,
+                uncategorizedCount: 0,
+                uncategorizedBytes: 0
+            };
+            await processCacheDirectory(join(cacheDir, subdir), dirStats);
+            return [subdir, dirStats];
+        })
+    );
+    for (const [name, dirStats] of subdirResults) {
+        mergeDirStatsIntoStats(dirStats, stats);
+        if (dirStats.count > 0) directoryStats.set(name, dirStats);
+    }
+
+    const totalCount = stats.normalCount + stats.transparentCount + stats.uncategorizedCount;
+
+    // Calculate distribution statistics
+    const shardedDirs = Array.from(directoryStats.entries()).filter(([name]) => name !== "(root)");
+    const dirCounts = shardedDirs.map(([, d]) => d.count).filter(c => c > 0);
+    const distribution = {
+        totalSubdirectories: shardedDirs.length,
+        emptySubdirectories: 256 - shardedDirs.length,
+        minFilesPerDir: dirCounts.length > 0 ? Math.min(...dirCounts) : 0,
+        maxFilesPerDir: dirCounts.length > 0 ? Math.max(...dirCounts) : 0,
+        avgFilesPerDir: dirCounts.length > 0 ? Number((dirCounts.reduce((a, b) => a + b, 0) / dirCounts.length).toFixed(2)) : 0,
+        medianFilesPerDir: dirCounts.length > 0 ? calculateMedian(dirCounts) : 0
+    };
+
+    // Get top and bottom directories by file count
+    const sortedDirs = Array.from(directoryStats.entries())
+        .filter(([name]) => name !== "(root)")
+        .sort((a, b) => b[1].count - a[1].count);
+    
+    const topDirectories = sortedDirs.slice(0, 10).map(([name, dirStats]) => ({
+        subdirectory: name,
+        count: dirStats.count,
+        sizeMB: toMB(dirStats.imageBytes + dirStats.metadataBytes),
+        normalCount: dirStats.normalCount,
+        transparentCount: dirStats.transparentCount
+    }));
+
+    const bottomDirectories = sortedDirs.slice(-10).reverse().map(([name, dirStats]) => ({
+        subdirectory: name,
+        count: dirStats.count,
+        sizeMB: toMB(dirStats.imageBytes + dirStats.metadataBytes),
+        normalCount: dirStats.normalCount,
+        transparentCount: dirStats.transparentCount
+    }));
+
+    const result = {
+        cacheEnabled: true,
+        cacheBackend: "disk",
+        cacheDir,
+        eviction: cacheEvictor.getStats(),
+        entries: totalCount,
+        imageMB: toMB(stats.imageBytes),
+        metadataMB: toMB(stats.metadataBytes),
+        totalMB: toMB(stats.imageBytes + stats.metadataBytes),
+        normalImages: {
+            count: stats.normalCount,
+            sizeMB: toMB(stats.normalBytes)
+        },
+        transparentImages: {
+            count: stats.transparentCount,
+            sizeMB: toMB(stats.transparentBytes)
+        },
+        uncategorizedImages: {
+            count: stats.uncategorizedCount,
+            sizeMB: toMB(stats.uncategorizedBytes)
+        },
+        distribution,
+        topDirectories,
+        bottomDirectories
+    };
+
+    // Add root directory stats if it has files
+    if (directoryStats.has("(root)")) {
+        const rootStats = directoryStats.get("(root)");
+        result.rootDirectory = {
+            count: rootStats.count,
+            sizeMB: toMB(rootStats.imageBytes + rootStats.metadataBytes),
+            normalCount: rootStats.normalCount,
+            transparentCount: rootStats.transparentCount
+        };
+    }
+
+    return result;
+}
+
+function calculateMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 
+        ? Number(((sorted[mid - 1] + sorted[mid]) / 2).toFixed(2))
+        : sorted[mid];
+}
+
+function toMB(bytes) {
+    return Number((bytes / (1024 * 1024)).toFixed(2));
+}
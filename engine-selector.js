@@ -0,0 +1,89 @@
+/**
+ * Chooses the processing engine for each render: imgproxy, the local sharp engine
+ * (sharp-engine.js), or `auto` — imgproxy while its health checks pass, sharp while they fail.
+ */
+
+export const ENGINES = ["imgproxy", "sharp", "auto"];
+
+/**
+ * @param {{ mode: string, checkImgproxy: () => Promise<boolean>, intervalMs: number }} options
+ *   `checkImgproxy` resolves true when imgproxy is healthy; only polled in `auto` mode
+ */
+export function createEngineSelector({ mode, checkImgproxy, intervalMs }) {
+    if (!ENGINES.includes(mode)) {
+        throw new Error(`ENGINE must be one of ${ENGINES.join(", ")} (got "${mode}")`);
+    }
+    const fallbackEnabled = mode === "auto";
+    let imgproxyHealthy = mode !== "sharp";
+    let lastCheckAt = null;
+    let lastFailureAt = null;
+    let fallbackRenders = 0;
+    let checking = null;
+
+    function setImgproxyHealthy(healthy, reason) {
+        if (healthy === imgproxyHealthy) return;
+        imgproxyHealthy = healthy;
+        if (healthy) {
+            console.log("imgproxy is healthy again, switching back from the sharp engine");
+        } else {
+            lastFailureAt = new Date().toISOString();
+            console.warn(`imgproxy unavailable (${reason}), rendering with the sharp engine`);
+        }
+    }
+
+    /** Run one health check; concurrent callers share the check already in progress. */
+    function runCheck() {
+        if (!fallbackEnabled) return Promise.resolve();
+        if (!checking) {
+            checking = checkImgproxy()
+                .catch(() => false)
+                .then((healthy) => {
+                    lastCheckAt = new Date().toISOString();
+                    setImgproxyHealthy(healthy, "health check failed");
+                })
+                .finally(() => {
+                    checking = null;
+                });
+        }
+        return checking;
+    }
+
+    function start() {
+        if (!fallbackEnabled) return;
+        runCheck();
+        const timer = setInterval(runCheck, intervalMs);
+        timer.unref?.();
+    }
+
+    /** @returns {"imgproxy" | "sharp"} engine for the next render */
+    function current() {
+        return imgproxyHealthy ? "imgproxy" : "sharp";
+    }
+
+    /**
+     * Called when a request to imgproxy fails at the network level or with a 5xx. In `auto` mode this switches
+     * to sharp until the next successful health check; returns whether the caller should retry with sharp.
+     */
+    function reportImgproxyFailure(error) {
+        if (!fallbackEnabled) return false;
+        setImgproxyHealthy(false, error?.message || "request failed");
+        return true;
+    }
+
+    function countFallbackRender() {
+        fallbackRenders++;
+    }
+
+    function getStats() {
+        return {
+            mode,
+            current: current(),
+            imgproxyHealthy: mode === "sharp" ? null : imgproxyHealthy,
+            lastCheckAt,
+            lastFailureAt,
+            fallbackRenders,
+        };
+    }
+
+    return { mode, fallbackEnabled, start, runCheck, current, reportImgproxyFailure, countFallbackRender, getStats };
+}
@@ -0,0 +1,97 @@
+/**
+ * Output format negotiation for derivatives.
+ * The negotiated format is forced on imgproxy and is part of the cache key, so every
+ * cached variant is served only to clients whose `Accept` header allows it.
+ */
+
+/** Modern formats offered when the client explicitly accepts them, in order of preference. */
+const outputFormats = (process?.env?.OUTPUT_FORMATS || "avif,webp")
+    .split(",")
+    .map((f) => f.trim().toLowerCase())
+    .filter((f) => f === "avif" || f === "webp");
+
+const NEGOTIABLE_MIME_TYPES = {
+    avif: "image/avif",
+    webp: "image/webp",
+};
+
+/** Sent upstream when the client did not send an `Accept` header at all. */
+const DEFAULT_ACCEPT = "image/avif,image/webp,image/apng,*/*";
+
+/**
+ * Parse an `Accept` header into lower-cased media ranges with their q-values.
+ * @param {string | null | undefined} accept
+ * @returns {{ type: string, q: number, raw: string }[]}
+ */
+function parseAccept(accept) {
+    if (!accept) return [];
+    return accept
+        .split(",")
+        .map((raw) => raw.trim())
+        .filter(Boolean)
+        .map((raw) => {
+            const [type, ...params] = raw.split(";").map((p) => p.trim());
+            let q = 1;
+            for (const param of params) {
+                const [name, value] = param.split("=");
+                if (name?.toLowerCase() === "q") {
+                    const parsed = parseFloat(value);
+                    q = Number.isNaN(parsed) ? 1 : parsed;
+                }
+            }
+            return { type: type.toLowerCase(), q, raw };
+        });
+}
+
+/**
+ * Pick the output format for a request. Only explicitly listed media types count
+ * (`*\/*` and `image/*` do not imply AVIF/WebP support, same as Next.js).
+ * @param {string | null | undefined} accept - client `Accept` header
+ * @param {boolean} [transparent] - derivative needs an alpha channel
+ * @returns {string | null} imgproxy format extension, or null to keep the source format
+ */
+export function negotiateOutputFormat(accept, transparent = false) {
+    const accepted = new Set(
+        parseAccept(accept).filter((r) => r.q > 0).map((r) => r.type)
+    );
+    for (const format of outputFormats) {
+        if (accepted.has(NEGOTIABLE_MIME_TYPES[format])) return format;
+    }
+    // Transparent derivatives must not fall back to a source format without alpha (e.g. JPEG)
+    return transparent ? "png" : null;
+}
+
+/**
+ * Whether a client can be sent an image of the given media type, by the same rules as
+ * negotiateOutputFormat(): AVIF/WebP only when listed explicitly, other types also through
+ * `image/*`, `*\/*` or a missing `Accept` header.
+ * @param {string | null | undefined} accept - client `Accept` header
+ * @param {string} contentType - e.g. `image/jpeg` (parameters are ignored)
+ * @returns {boolean}
+ */
+export function acceptsImageType(accept, contentType) {
+    const type = contentType.split(";")[0].trim().toLowerCase();
+    const ranges = parseAccept(accept);
+    const listed = ranges.find((r) => r.type === type);
+    if (listed) return listed.q > 0;
+    if (Object.values(NEGOTIABLE_MIME_TYPES).includes(type)) return false;
+    if (ranges.length === 0) return true;
+    return ranges.some((r) => r.q > 0 && (r.type === "image/*" || r.type === "*/*"));
+}
+
+/**
+ * `Accept` header to forward to imgproxy: the client's own header, minus any negotiable
+ * type we did not pick, so imgproxy's WebP/AVIF detection cannot produce a format that
+ * differs from the one recorded in the cache key.
+ * @param {string | null | undefined} accept - client `Accept` header
+ * @param {string | null} format - result of negotiateOutputFormat()
+ * @returns {string}
+ */
+export function upstreamAcceptHeader(accept, format) {
+    if (!accept) accept = DEFAULT_ACCEPT;
+    const kept = parseAccept(accept).filter((r) => {
+        const isNegotiable = Object.values(NEGOTIABLE_MIME_TYPES).includes(r.type);
+        return !isNegotiable || r.type === NEGOTIABLE_MIME_TYPES[format];
+    });
+    return kept.map((r) => r.raw).join(",") || "*/*";
+}
@@ -0,0 +1,40 @@
+import sharp from "sharp";
+
+/**
+ * Intrinsic metadata of a source image for /info/<url>, read with sharp from the original bytes
+ * (imgproxy's own /info endpoint is only available in imgproxy Pro).
+ */
+
+/**
+ * @param {ArrayBuffer | Buffer} input - the original, unprocessed image
+ * @param {string | null} contentType - upstream Content-Type, if any
+ * @returns {Promise<{
+ *   width: number, height: number, format: string, contentType: string | null, size: number,
+ *   orientation: number, displayWidth: number, displayHeight: number,
+ *   hasAlpha: boolean, animated: boolean, pages: number
+ * }>}
+ *   width/height as stored; displayWidth/displayHeight after applying the EXIF orientation
+ */
+export async function readImageInfo(input, contentType = null) {
+    const buffer = Buffer.from(input);
+    const metadata = await sharp(buffer, { animated: true }).metadata();
+    const orientation = metadata.orientation || 1;
+    const pages = metadata.pages || 1;
+    // Animated images report the height of all frames stacked; use one frame
+    const height = metadata.pageHeight || metadata.height;
+    // EXIF orientations 5–8 rotate by 90°, so the displayed image is transposed
+    const transposed = orientation >= 5;
+    return {
+        width: metadata.width,
+        height,
+        format: metadata.format,
+        contentType,
+        size: buffer.byteLength,
+        orientation,
+        displayWidth: transposed ? height : metadata.width,
+        displayHeight: transposed ? metadata.width : height,
+        hasAlpha: Boolean(metadata.hasAlpha),
+        animated: pages > 1,
+        pages,
+    };
+}
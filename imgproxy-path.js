@@ -5,6 +5,34 @@ export function imgproxyLeadingOptions() {
     return sharpenSigma ? `sh:${sharpenSigma}` : "";
 }
 
+/**
+ * imgproxy resize/gravity segments for a fit mode (sharp semantics).
+ * @param {string} fit - cover, contain, inside, outside or fill
+ * @param {number} width - 0 = derive from height
+ * @param {number} height - 0 = derive from width
+ * @param {string | null} gravity - imgproxy gravity type, null for center
+ * @returns {string[]}
+ */
+export function imgproxyResizeSegments(fit, width, height, gravity) {
+    switch (fit) {
+        case "contain":
+            // Fit inside the box, then pad to exactly width x height
+            return [`resize:fit:${width}:${height}`, `extend:1:${gravity || "ce"}`];
+        case "inside":
+            return [`resize:fit:${width}:${height}`];
+        case "outside":
+            // Smallest size that still covers the box: no target box (with one, imgproxy crops to it),
+            // only the minimums; like every other mode, never enlarged (imgproxy's enlarge stays off)
+            return ["resize:fit:0:0", width ? `min-width:${width}` : "", height ? `min-height:${height}` : ""];
+        case "fill":
+            // Stretch to exactly width x height, ignoring aspect ratio
+            return [`resize:force:${width}:${height}`];
+        default:
+            // cover: fill the box and crop the overflow around the gravity
+            return [`resize:fill:${width}:${height}`, gravity ? `gravity:${gravity}` : ""];
+    }
+}
+
 export function joinImgproxyPath(base, ...segments) {
     const parts = [base, ...segments].filter(Boolean);
     return parts.join("/");
@@ -1,561 +1,922 @@
-import { mkdir, readFile, writeFile, access, readdir, stat } from "node:fs/promises";
-import { constants as fsConstants } from "node:fs";
-import { createHash } from "node:crypto";
-import { join } from "node:path";
+/**
+ * Next Image Transformation server.
+ * Derivatives are cached by the backend selected with CACHE_BACKEND (see cache-backend.js).
+ */
+import { createHash, timingSafeEqual } from "node:crypto";
 import sharp from "sharp";
 import {
     parseImageSourceFromRequest,
+    parseImagePresetFromRequest,
     encodeImgproxyPlainSource,
     isAwsPresignedSourceUrl,
 } from "./source-url.js";
 import { buildImgproxyRequestUrl } from "./imgproxy-sign.js";
-import { imgproxyLeadingOptions, joinImgproxyPath } from "./imgproxy-path.js";
+import { imgproxyLeadingOptions, imgproxyResizeSegments, joinImgproxyPath } from "./imgproxy-path.js";
+import { acceptsImageType, negotiateOutputFormat, upstreamAcceptHeader } from "./image-format.js";
+import {
+    createDerivativeEtag,
+    isConditionalRequest,
+    isNotModified,
+    notModifiedResponse,
+} from "./conditional-request.js";
+import { createCoalescer, waitForCacheEntry } from "./request-coalescing.js";
+import { createCacheBackend } from "./cache-backend.js";
+import { verifyPublicImageUrl } from "./public-url-signing.js";
+import { isAllowedSourceUrl } from "./remote-patterns.js";
+import { checkSourceAddress, checkSourceScheme, fetchSourceBuffered } from "./source-guard.js";
+import { isLocalSource, localSourcesEnabled, statLocalSource } from "./local-source.js";
+import { headS3Source, isAllowedS3Bucket, isS3Source, parseS3Source, presignS3Source } from "./s3-source.js";
+import { presignedSourceCachingEnabled, stablePresignedSourceUrl, verifyPresignedSource } from "./presigned-source.js";
+import { parseNextImageRequest, nextImageCacheControl } from "./next-image.js";
+import { DEFAULT_FIT, DEFAULT_QUALITY, backgroundRemovalBox, describeLayout, invalidParamsResponse } from "./transform-params.js";
+import { presetsOnly, resolveTransformParams } from "./presets.js";
+import { createPlaceholder, PLACEHOLDER_SOURCE_SIZE } from "./placeholder.js";
+import { readImageInfo } from "./image-info.js";
+import { createEngineSelector } from "./engine-selector.js";
+import { renderWithSharp } from "./sharp-engine.js";
+import { createResilientFetch } from "./resilient-fetch.js";
+import { createMetricsRegistry } from "./metrics.js";
+import { clientAddress, createRateLimiter, rateLimitHeaders } from "./rate-limit.js";
+import {
+    annotateRequest,
+    createRequestContext,
+    currentClientIp,
+    currentRequestId,
+    logEvent,
+    logRequest,
+    runWithRequestContext,
+    serverTimingHeader,
+    timePhase,
+} from "./request-context.js";
 
-let allowedDomains = process?.env?.ALLOWED_REMOTE_DOMAINS?.split(",") || ["*"];
 let imgproxyUrl = process?.env?.IMGPROXY_URL || "http://localhost:8888";
 const imgproxyKey = process?.env?.IMGPROXY_KEY?.trim() || "";
 const imgproxySalt = process?.env?.IMGPROXY_SALT?.trim() || "";
 const healthcheckImageUrl = process?.env?.HEALTHCHECK_IMAGE_URL || "https://sampletestfile.com/wp-content/uploads/2023/05/585-KB.png";
-const cacheDir = process?.env?.CACHE_DIR || "./cache";
-const cacheEnabled = process?.env?.CACHE_ENABLED !== "false";
+// Cross-replica render lock: one instance renders a derivative, the others wait for its cache entry
+const cacheLockEnabled = process?.env?.CACHE_LOCK_ENABLED === "true";
+const cacheLockTimeoutMs = parseInt(process?.env?.CACHE_LOCK_TIMEOUT_MS || "15000") || 15000;
 const whiteBackgroundThreshold = parseInt(process?.env?.WHITE_BACKGROUND_THRESHOLD || "253");
 // Server tint for load-balancing visibility (e.g. SERVER_TINT_COLOR=FF0000 for red, 00FF00 for green)
 const _tint = process?.env?.SERVER_TINT_COLOR?.trim();
 const serverTintColor = _tint ? (_tint.startsWith("#") ? _tint : `#${_tint}`) : null;
-let cacheInitialized = false;
+const port = parseInt(process?.env?.PORT || "3000", 10);
+// Optional HMAC signing of public /image/ URLs (hex, like IMGPROXY_KEY / IMGPROXY_SALT)
+const urlSigningKey = process?.env?.URL_SIGNING_KEY?.trim() || "";
+const urlSigningSalt = process?.env?.URL_SIGNING_SALT?.trim() || "";
+// Processing engine: imgproxy, sharp (local, no imgproxy needed) or auto (sharp while imgproxy is unhealthy)
+const engineMode = process?.env?.ENGINE?.trim().toLowerCase() || "imgproxy";
+const engineHealthcheckIntervalMs = (parseInt(process?.env?.ENGINE_HEALTHCHECK_INTERVAL_SECONDS || "30") || 30) * 1000;
+// imgproxy resilience: per-attempt timeout, retries for 502/503/504 and network errors, circuit breaker
+const imgproxyTimeoutMs = parseInt(process?.env?.IMGPROXY_TIMEOUT_MS || "30000") || 30000;
+const imgproxyRetries = parseInt(process?.env?.IMGPROXY_RETRIES || "2");
+const imgproxyRetryBaseMs = parseInt(process?.env?.IMGPROXY_RETRY_BASE_MS || "200") || 200;
+const imgproxyBreakerThreshold = parseInt(process?.env?.IMGPROXY_BREAKER_THRESHOLD || "5");
+const imgproxyBreakerResetMs = (parseInt(process?.env?.IMGPROXY_BREAKER_RESET_SECONDS || "30") || 30) * 1000;
+// Served (uncached) when a derivative can't be rendered and no other derivative of the source is cached
+const fallbackImagePath = process?.env?.FALLBACK_IMAGE?.trim() || "";
+// Token buckets per minute (0 = off): every image request per client, and the stricter budgets for
+// cache misses (renders) per client and per source domain
+const rateLimitPerMinute = parseInt(process?.env?.RATE_LIMIT_PER_MINUTE || "0") || 0;
+const rateLimitMissesPerMinute = parseInt(process?.env?.RATE_LIMIT_MISSES_PER_MINUTE || "0") || 0;
+const rateLimitOriginMissesPerMinute = parseInt(process?.env?.RATE_LIMIT_ORIGIN_MISSES_PER_MINUTE || "0") || 0;
+// Number of reverse proxies in front of the service whose X-Forwarded-For entries are trusted
+const trustedProxyDepth = parseInt(process?.env?.TRUSTED_PROXY_DEPTH || "0") || 0;
+// Bearer token for POST /cache/purge; the endpoint is disabled when unset
+const cachePurgeToken = process?.env?.CACHE_PURGE_TOKEN?.trim() || "";
 
 if (process.env.NODE_ENV === "development") {
     imgproxyUrl = "http://localhost:8888"
 }
-allowedDomains = allowedDomains.map(d => d.trim());
+
+const engineSelector = createEngineSelector({
+    mode: engineMode,
+    checkImgproxy,
+    intervalMs: engineHealthcheckIntervalMs
+});
+engineSelector.start();
+const imgproxyClient = createResilientFetch({
+    timeoutMs: imgproxyTimeoutMs,
+    retries: Number.isInteger(imgproxyRetries) && imgproxyRetries >= 0 ? imgproxyRetries : 2,
+    retryBaseMs: imgproxyRetryBaseMs,
+    breakerThreshold: Number.isInteger(imgproxyBreakerThreshold) && imgproxyBreakerThreshold >= 0 ? imgproxyBreakerThreshold : 5,
+    breakerResetMs: imgproxyBreakerResetMs
+});
+const clientRateLimiter = createRateLimiter({ perMinute: rateLimitPerMinute });
+const missRateLimiter = createRateLimiter({ perMinute: rateLimitMissesPerMinute });
+const originRateLimiter = createRateLimiter({ perMinute: rateLimitOriginMissesPerMinute });
+
+const cache = createCacheBackend();
+const cacheEnabled = cache.name !== "none";
+const renderCoalescer = createCoalescer();
+// SSRF rejections from the miss path, which /_next/image reports in Next.js' own wording
+const blockedSourceResponses = new WeakSet();
+
+const metrics = createMetricsRegistry();
+const requestsTotal = metrics.counter(
+    "image_transformation_requests_total",
+    "HTTP requests by route, status code and X-Cache outcome",
+    ["route", "status", "cache"]
+);
+const bytesServedTotal = metrics.counter(
+    "image_transformation_served_bytes_total",
+    "Response body bytes served for images, placeholders and info, by X-Cache outcome",
+    ["cache"]
+);
+const imgproxyRequestDuration = metrics.histogram(
+    "image_transformation_imgproxy_request_duration_seconds",
+    "imgproxy request latency including retries, by outcome (status class, timeout, error, circuit_open)",
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    ["outcome"]
+);
+const cacheWriteFailuresTotal = metrics.counter(
+    "image_transformation_cache_write_failures_total",
+    "Cache writes that failed, by backend",
+    ["backend"]
+);
+const allowlistRejectionsTotal = metrics.counter(
+    "image_transformation_allowlist_rejections_total",
+    "Requests rejected because the source domain is not allowed, by route",
+    ["route"]
+);
+const blockedSourcesTotal = metrics.counter(
+    "image_transformation_blocked_sources_total",
+    "Requests rejected by SSRF protection (scheme, credentials or a private source address), by route",
+    ["route"]
+);
+const rateLimitedTotal = metrics.counter(
+    "image_transformation_rate_limited_total",
+    "Requests rejected with 429, by exhausted budget (client, miss, origin)",
+    ["limit"]
+);
+const healthChecksTotal = metrics.counter(
+    "image_transformation_imgproxy_health_checks_total",
+    "imgproxy health checks by result",
+    ["result"]
+);
+const imgproxyUp = metrics.gauge("image_transformation_imgproxy_up", "1 if the last imgproxy health check passed");
+const imgproxyCircuitOpen = metrics.gauge("image_transformation_imgproxy_circuit_open", "1 while the imgproxy circuit breaker is open");
 
 Bun.serve({
-    port: 3000,
-    async fetch(req) {
+    port,
+    async fetch(req, server) {
         const url = new URL(req.url);
-        if (url.pathname === "/") {
-            return Response.redirect("https://jozef.uk", 302);
-        }
-
-        if (url.pathname === "/health") {
-            console.log("Health check requested");
-            return await healthCheck();
-        };
-        if (url.pathname === "/stats") return await stats();
-        if (url.pathname.startsWith("/image/")) return await resize(url);
-        return Response.redirect("https://github.com/coollabsio/next-image-transformation", 302);
+        const context = createRequestContext(req, clientAddress(req, server.requestIP(req)?.address, trustedProxyDepth));
+        return await runWithRequestContext(context, async () => {
+            const limit = isImageRoute(url.pathname) ? clientRateLimiter.take(context.clientIp) : null;
+            const response = limit && !limit.allowed ? tooManyRequests(limit, "client") : await routeRequest(url, req);
+            // A 429 from a miss budget already carries that budget's headers
+            if (limit && response.status !== 429) {
+                for (const [name, value] of Object.entries(rateLimitHeaders(limit))) response.headers.set(name, value);
+            }
+            requestsTotal.inc({
+                route: routeLabel(url.pathname),
+                status: response.status,
+                cache: response.headers.get("X-Cache") || "none"
+            });
+            response.headers.set("X-Request-Id", context.id);
+            response.headers.set("Server-Timing", serverTimingHeader(context));
+            logRequest(context, req, url, response);
+            return response;
+        });
     }
 });
 
-async function resize(url) {
+console.log(`Next Image Transformation (${(cache.tiers || [cache.name]).join(" + ")} cache, ${engineMode} engine) listening on port`, port);
+
+async function routeRequest(url, req) {
+    if (url.pathname === "/") {
+        return Response.redirect("https://jozef.uk", 302);
+    }
+
+    if (url.pathname === "/health") return await healthCheck();
+    if (url.pathname === "/stats") return await stats();
+    if (url.pathname === "/cache/purge") return await purge(req);
+    if (url.pathname.startsWith("/image/")) return await resize(url, req);
+    if (url.pathname === "/_next/image") return await nextImage(url, req);
+    if (url.pathname.startsWith("/placeholder/")) return await placeholder(url, req);
+    if (url.pathname.startsWith("/info/")) return await info(url, req);
+    if (url.pathname === "/metrics") return metricsResponse();
+    return Response.redirect("https://github.com/coollabsio/next-image-transformation", 302);
+}
+
+// Bounded route label for metrics (never the raw path, which contains the source URL)
+function routeLabel(pathname) {
+    if (pathname.startsWith("/image/")) return "image";
+    if (pathname === "/_next/image") return "next_image";
+    if (pathname.startsWith("/placeholder/")) return "placeholder";
+    if (pathname.startsWith("/info/")) return "info";
+    if (["/health", "/stats", "/metrics", "/cache/purge"].includes(pathname)) return pathname.slice(1);
+    return "other";
+}
+
+// Routes that fetch or render source images, and so count against the rate limits
+function isImageRoute(pathname) {
+    return ["image", "next_image", "placeholder", "info"].includes(routeLabel(pathname));
+}
+
+function tooManyRequests(limit, budget) {
+    rateLimitedTotal.inc({ limit: budget });
+    annotateRequest({ rateLimited: budget });
+    return new Response("Too many requests", {
+        status: 429,
+        headers: { ...rateLimitHeaders(limit), "Server": "NextImageTransformation", "Cache-Control": "no-store" }
+    });
+}
+
+// Cache misses reach imgproxy (or sharp) and the source: a 429 response when the client's or the
+// source domain's miss budget is exhausted, else null
+function checkRenderBudget(src) {
+    const client = missRateLimiter.take(currentClientIp() || "unknown");
+    if (client && !client.allowed) return tooManyRequests(client, "miss");
+    const origin = originRateLimiter.take(new URL(src).hostname);
+    if (origin && !origin.allowed) return tooManyRequests(origin, "origin");
+    return null;
+}
+
+function metricsResponse() {
+    imgproxyCircuitOpen.set({}, imgproxyClient.getStats().breaker === "open" ? 1 : 0);
+    return new Response(metrics.render(), {
+        headers: {
+            "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+            "Server": "NextImageTransformation"
+        }
+    });
+}
+
+async function resize(url, req) {
     
     const src = parseImageSourceFromRequest(url);
 
+    const transform = resolveTransformParams(parseImagePresetFromRequest(url), url.searchParams);
+    if (transform.errors) {
+        return invalidParamsResponse(transform.errors);
+    }
+    const { width, height, quality, removeBg, fit, gravity } = transform.params;
+    annotateRequest({ params: transform.params });
+    if (urlSigningKey) {
+        const verified = verifyPublicImageUrl(url, { src, width, height, quality, removeBg, fit, gravity }, urlSigningKey, urlSigningSalt);
+        if (!verified.ok) {
+            return new Response(verified.reason, { status: 403 });
+        }
+    }
+    // After the signature check: source access may call S3, DNS or the source itself
+    const access = await checkSourceAccess(src, "image");
+    if (access.response) return access.response;
+    return await serveImage(req, { src, sourceVersion: access.version, width, height, quality, removeBg, fit, gravity });
+}
+
+// Next.js built-in loader contract: /_next/image?url=&w=&q= (see next-image.js)
+async function nextImage(url, req) {
+    // Next.js' loader can't sign its URLs, so the route would bypass URL_SIGNING_KEY
+    if (urlSigningKey) {
+        return new Response("/_next/image is disabled while URL signing is enabled; use signed /image/ URLs", { status: 403 });
+    }
+    // w/q are arbitrary sizes, which PRESETS_ONLY rules out
+    if (presetsOnly) {
+        return new Response("/_next/image is disabled while PRESETS_ONLY is set; use /image/ presets", { status: 403 });
+    }
+    const parsed = parseNextImageRequest(url);
+    if (parsed.error) {
+        return new Response(parsed.error, { status: 400 });
+    }
+    annotateRequest({ sourceHost: new URL(parsed.src).hostname, params: { width: parsed.width, quality: parsed.quality } });
+    // Local images from the app itself skip the allowlist and address checks, as in Next.js
+    const access = await checkSourceAccess(parsed.src, "next_image", { appSource: parsed.isAppUrl });
+    if (access.response) {
+        return new Response('"url" parameter is not allowed', { status: 400 });
+    }
+    const response = await serveImage(req, {
+        src: parsed.src,
+        sourceVersion: access.version,
+        width: parsed.width,
+        height: 0,
+        quality: parsed.quality,
+        removeBg: false,
+        appSource: parsed.isAppUrl
+    });
+    if (response.status === 429) return response;
+    if (blockedSourceResponses.has(response)) {
+        return new Response('"url" parameter is not allowed', { status: 400 });
+    }
+    if (!response.ok && response.status !== 304) {
+        return new Response('"url" parameter is valid but upstream response is invalid', {
+            status: response.status >= 400 ? response.status : 500
+        });
+    }
+    response.headers.set("Cache-Control", nextImageCacheControl(response.headers.get("Cache-Control"), parsed.isStatic));
+    response.headers.set("Content-Security-Policy", "script-src 'none'; frame-src 'none'; sandbox;");
+    return response;
+}
+
+// Blur placeholder for Next.js placeholder="blur": /placeholder/{remoteUrl} -> JSON (see placeholder.js)
+async function placeholder(url, req) {
+    const source = await authorizeSourceRequest(url);
+    if (source.response) return source.response;
+    const { src, version } = source;
+    return await serveSourceJson(req, src, getSourceJsonCacheKey("placeholder", src, version), "Error creating placeholder", (cacheKey, useCache) =>
+        renderPlaceholder({ src, cacheKey, useCache })
+    );
+}
+
+// Intrinsic metadata of the original: /info/{remoteUrl} -> JSON (see image-info.js)
+async function info(url, req) {
+    const source = await authorizeSourceRequest(url);
+    if (source.response) return source.response;
+    const { src, version } = source;
+    return await serveSourceJson(req, src, getSourceJsonCacheKey("info", src, version), "Error reading image info", (cacheKey, useCache) =>
+        renderInfo({ src, cacheKey, useCache })
+    );
+}
+
+// Source URL, access and signature checks shared by /placeholder/ and /info/; { response } when rejected
+async function authorizeSourceRequest(url) {
+    const src = parseImageSourceFromRequest(url);
+    if (urlSigningKey) {
+        // Same signature as /image/{remoteUrl} without transform parameters
+        const verified = verifyPublicImageUrl(url, { src }, urlSigningKey, urlSigningSalt);
+        if (!verified.ok) {
+            return { response: new Response(verified.reason, { status: 403 }) };
+        }
+    }
+    const access = await checkSourceAccess(src, routeLabel(url.pathname));
+    if (access.response) return access;
+    return { src, version: access.version };
+}
+
+// Allowlist and SSRF checks for a remote source, or existence of a local file or S3 object
+// (see local-source.js, s3-source.js). { response } when rejected, else { version }: the file's mtime
+// or the object's ETag, so changed sources get new cache keys. `appSource` (a relative /_next/image
+// url on NEXT_APP_ORIGIN) skips the allowlist and address checks
+async function checkSourceAccess(src, route, { appSource = false } = {}) {
+    if (isLocalSource(src)) {
+        annotateRequest({ sourceHost: "local" });
+        if (!localSourcesEnabled()) {
+            return { response: new Response("Local sources are not enabled (LOCAL_SOURCES_DIR)", { status: 404 }) };
+        }
+        const local = await statLocalSource(src);
+        if (!local) return { response: new Response("Local source not found", { status: 404 }) };
+        return { version: String(local.mtimeMs) };
+    }
+    if (isS3Source(src)) {
+        const object = parseS3Source(src);
+        if (!object) return { response: new Response(`Invalid S3 source: ${src}`, { status: 400 }) };
+        annotateRequest({ sourceHost: `s3:${object.bucket}` });
+        if (!isAllowedS3Bucket(object)) {
+            allowlistRejectionsTotal.inc({ route });
+            return { response: new Response(`Bucket (${object.bucket}) not allowed`, { status: 403 }) };
+        }
+        let metadata;
+        try {
+            metadata = await headS3Source(src);
+        } catch (err) {
+            logEvent("error", "Failed to read S3 source metadata", err);
+            return { response: new Response("Failed to read S3 source", { status: 502 }) };
+        }
+        if (!metadata) return { response: new Response("S3 source not found", { status: 404 }) };
+        return { version: metadata.etag };
+    }
     let origin;
     try {
         origin = new URL(src).hostname;
     } catch (e) {
-        return new Response(`Invalid URL: ${src}`, { status: 400 });
+        return { response: new Response(`Invalid URL: ${src}`, { status: 400 }) };
     }
-    const allowed = allowedDomains.filter(domain => {
-        if (domain === "*") return true;
-        if (domain === origin) return true;
-        if (domain.startsWith("*.") && origin.endsWith(domain.split("*.").pop())) return true;
-        return false;
-    })
-    if (allowed.length === 0) {
-        return new Response(`Domain (${origin}) not allowed. More details here: https://github.com/coollabsio/next-image-transformation`, { status: 403 });
-    }
-    const width = url.searchParams.get("width") || 0;
-    const height = url.searchParams.get("height") || 0;
-    const quality = url.searchParams.get("quality") || 75;
-    const removeBg = url.searchParams.get("removeBg") === "true" || url.searchParams.get("transparent") === "true";
-    const useCache = cacheEnabled && !isAwsPresignedSourceUrl(src);
-    const cacheKey = getCacheKey(src, width, height, quality, removeBg, serverTintColor);
-    if (useCache) {
-        const cached = await readFromCache(cacheKey);
-        if (cached) {
-            cached.headers.set("Server", "NextImageTransformation");
-            cached.headers.set("X-Cache", "HIT");
-            return new Response(cached.body, {
-                headers: cached.headers,
-                status: cached.status,
-                statusText: cached.statusText
-            });
+    annotateRequest({ sourceHost: origin });
+    // Before the allowlist, which would reject other schemes as an empty "domain"
+    const sourceCheck = checkSourceScheme(src);
+    if (!sourceCheck.ok) {
+        blockedSourcesTotal.inc({ route });
+        return { response: new Response(sourceCheck.reason, { status: sourceCheck.status }) };
+    }
+    if (!appSource && !isAllowedSourceUrl(src)) {
+        allowlistRejectionsTotal.inc({ route });
+        return { response: new Response(`Domain (${origin}) not allowed. More details here: https://github.com/coollabsio/next-image-transformation`, { status: 403 }) };
+    }
+    if (presignedSourceCachingEnabled() && isAwsPresignedSourceUrl(src)) {
+        // Cached derivatives are keyed without the signature, so check it on every request; that
+        // contacts the source, so its address is checked first
+        const blocked = await checkSourceHost(src, route, appSource);
+        if (blocked) return { response: blocked };
+        let presigned;
+        try {
+            presigned = await verifyPresignedSource(src);
+        } catch (err) {
+            logEvent("error", "Failed to verify presigned source", err);
+            return { response: new Response("Failed to verify presigned source", { status: 502 }) };
         }
+        if (!presigned.ok) return { response: new Response(presigned.reason, { status: presigned.status }) };
+        return { version: presigned.etag || null };
     }
+    return { version: null };
+}
 
+// SSRF address check for http(s) sources (a DNS lookup), only run before the source is fetched so
+// cache hits never depend on DNS. The rejection response, else null
+async function checkSourceHost(src, route, appSource = false) {
+    if (appSource || isLocalSource(src) || isS3Source(src)) return null;
+    const check = await checkSourceAddress(src);
+    if (check.ok) return null;
+    blockedSourcesTotal.inc({ route });
+    const response = new Response(check.reason, { status: check.status });
+    blockedSourceResponses.add(response);
+    return response;
+}
+
+// Serve a JSON document derived from a source image from cache, or render it like a derivative
+async function serveSourceJson(req, src, cacheKey, errorMessage, render) {
+    const useCache = cacheEnabled && isCacheableSource(src);
+    if (useCache) {
+        const cached = await readCachedResponse(req, cacheKey);
+        if (cached) return cached;
+    }
+    const blocked = await checkSourceHost(src, routeLabel(new URL(req.url).pathname));
+    if (blocked) return blocked;
+    const throttled = checkRenderBudget(src);
+    if (throttled) return throttled;
     try {
-        const lead = imgproxyLeadingOptions();
-        let imgproxyPath = lead;
-        
-        // Add trim option if background removal is requested
-        // trim:threshold:color - explicitly specify white (FFFFFF) for better performance
-        if (removeBg) {
-            // Map threshold from 0-255 range to 0-100 range for imgproxy
-            // Higher threshold = more sensitive (only very white), so we invert: 255 -> 0, 247 -> ~3, 240 -> ~6
-            const trimThreshold = Math.max(0, Math.min(100, Math.round((255 - whiteBackgroundThreshold) / 2.55)));
-            // Explicitly specify white color (FFFFFF) for trim - this is more efficient
-            imgproxyPath = joinImgproxyPath(imgproxyPath, `trim:${trimThreshold}:FFFFFF`);
-            
-            // After trim, resize to fit within requested dimensions, then extend to fill exactly
-            const targetWidth = parseInt(width) || 0;
-            const targetHeight = parseInt(height) || 0;
-            
-            // Determine the fit size: if only one dimension provided, use it for square
-            // If both provided, use minimum to ensure it fits within bounds
-            let fitSize;
-            let finalWidth, finalHeight;
-            
-            if (targetWidth && targetHeight) {
-                // Both dimensions provided - use minimum to fit within bounds
-                fitSize = Math.min(targetWidth, targetHeight);
-                finalWidth = targetWidth;
-                finalHeight = targetHeight;
-            } else if (targetWidth) {
-                // Only width provided - create square
-                fitSize = targetWidth;
-                finalWidth = targetWidth;
-                finalHeight = targetWidth;
-            } else if (targetHeight) {
-                // Only height provided - create square
-                fitSize = targetHeight;
-                finalWidth = targetHeight;
-                finalHeight = targetHeight;
-            } else {
-                // No dimensions - use a default (shouldn't happen but just in case)
-                fitSize = 256;
-                finalWidth = 256;
-                finalHeight = 256;
-            }
-            
-            // Resize to fit within the target dimensions (preserves aspect ratio, fits within bounds)
-            // This should ensure both dimensions are <= target
-            imgproxyPath = joinImgproxyPath(imgproxyPath, `resize:fit:${finalWidth}:${finalHeight}`);
-            
-            // Extend to fill exact dimensions with transparent background (centered)
-            // This adds transparent padding if the image is smaller than requested
-            imgproxyPath = joinImgproxyPath(imgproxyPath, "extend:1:ce");
-            
-            // Ensure WebP format for transparency support  
-            imgproxyPath = joinImgproxyPath(imgproxyPath, "format:webp");
-        } else {
-            // Normal images: use fill to crop to exact dimensions
-            imgproxyPath = joinImgproxyPath(imgproxyPath, `resize:fill:${width}:${height}`);
-        }
-        
-        imgproxyPath = joinImgproxyPath(
-            imgproxyPath,
-            `q:${quality}`,
-            `plain/${encodeImgproxyPlainSource(src)}`
-        );
-        const imgproxyRequestUrl = buildImgproxyRequestUrl(
-            imgproxyUrl,
-            imgproxyPath,
-            imgproxyKey,
-            imgproxySalt
+        const { value: rendered, shared } = await renderCoalescer.run(cacheKey, () =>
+            renderWithLock(cacheKey, useCache, () => render(cacheKey, useCache))
         );
-        const image = await fetch(imgproxyRequestUrl, {
-            headers: {
-                "Accept": "image/avif,image/webp,image/apng,*/*",
-            }
-        })
-        let arrayBuffer = await image.arrayBuffer();
-        // Apply server tint for load-balancing visibility (each server gets a different colour)
-        if (image.ok && serverTintColor) {
-            try {
-                const tinted = await sharp(Buffer.from(arrayBuffer))
-                    .tint(serverTintColor)
-                    .toBuffer();
-                arrayBuffer = tinted.buffer.slice(tinted.byteOffset, tinted.byteOffset + tinted.byteLength);
-            } catch (tintErr) {
-                console.warn("Failed to apply server tint:", tintErr.message);
-            }
-        }
-        const headers = new Headers(image.headers);
-        headers.set("Server", "NextImageTransformation");
-        if (image.ok && useCache) {
-            await writeToCache(cacheKey, arrayBuffer, headers, image.status, image.statusText, removeBg); // Track if transparent
-        }
-        headers.set("X-Cache", image.ok ? (useCache ? "MISS" : "BYPASS") : "SKIP");
-        return new Response(arrayBuffer, {
-            headers,
-            status: image.status,
-            statusText: image.statusText
-        })
+        return renderedResponse(rendered, shared);
     } catch (e) {
-        console.log(e)
-        return new Response("Error resizing image")
+        logEvent("error", errorMessage, e);
+        return new Response(errorMessage, { status: 500 })
     }
 }
 
-function getCacheKey(src, width, height, quality, removeBg = false, tintColor = null) {
-    const hash = createHash("sha256");
-    hash.update(`${src}|${width}|${height}|${quality}|${removeBg}|${tintColor || ""}`);
-    return hash.digest("hex");
+// Render a small PNG thumbnail (imgproxy or sharp) and compute the placeholder JSON from it
+async function renderPlaceholder({ src, cacheKey, useCache }) {
+    const image = await renderImage({
+        src,
+        width: PLACEHOLDER_SOURCE_SIZE,
+        height: PLACEHOLDER_SOURCE_SIZE,
+        quality: DEFAULT_QUALITY,
+        removeBg: false,
+        fit: "inside",
+        gravity: null,
+        accept: null,
+        format: "png"
+    });
+    if (!image.ok) {
+        return upstreamErrorEntry(image);
+    }
+    const result = await createPlaceholder(await image.arrayBuffer());
+    return await storeSourceJson(src, cacheKey, useCache, result, image.headers.get("Cache-Control"));
 }
 
-async function ensureCacheDir() {
-    if (!cacheEnabled || cacheInitialized) return;
-    await mkdir(cacheDir, { recursive: true });
-    cacheInitialized = true;
+// Read the original bytes directly: imgproxy would re-encode them and drop orientation and size
+async function renderInfo({ src, cacheKey, useCache }) {
+    const original = await fetchSourceBuffered(src, { headers: { "Accept": "image/*" } });
+    if (!original.ok) {
+        return upstreamErrorEntry(original);
+    }
+    const result = await readImageInfo(await original.arrayBuffer(), original.headers.get("Content-Type"));
+    return await storeSourceJson(src, cacheKey, useCache, result, original.headers.get("Cache-Control"));
 }
 
-// Get sharded cache path: use first 2 chars of hash to create subdirectories
-// This prevents performance issues with thousands of files in a single directory
-function getShardedCachePath(key) {
-    if (key.length < 2) {
-        // Fallback for edge cases (shouldn't happen with SHA256)
-        return join(cacheDir, key);
+// Failed upstream response as an uncached entry (X-Cache: SKIP)
+async function upstreamErrorEntry(response) {
+    const headers = new Headers(response.headers);
+    headers.set("Server", "NextImageTransformation");
+    headers.set("X-Cache", "SKIP");
+    return { body: await response.arrayBuffer(), headers, status: response.status, statusText: response.statusText };
+}
+
+// Cache a JSON document under the source's index (so purges include it); returns the cache entry shape
+async function storeSourceJson(src, cacheKey, useCache, result, cacheControl) {
+    const body = new TextEncoder().encode(JSON.stringify(result)).buffer;
+    const headers = new Headers({
+        "Content-Type": "application/json",
+        "Server": "NextImageTransformation",
+        "ETag": createDerivativeEtag(cacheKey, body),
+        "Last-Modified": new Date().toUTCString(),
+    });
+    if (cacheControl) headers.set("Cache-Control", cacheControl);
+    if (useCache) {
+        await storeCacheEntry(src, cacheKey, body, headers, 200, "OK", false);
     }
-    const subdir = key.substring(0, 2);
-    return join(cacheDir, subdir, key);
+    headers.set("X-Cache", useCache ? "MISS" : "BYPASS");
+    return { body, headers, status: 200, statusText: "OK" };
 }
 
-async function readFromCache(key) {
+// Serve one derivative from cache (including 304 revalidation) or render it; shared by every image route
+async function serveImage(req, { src, sourceVersion = null, width, height, quality, removeBg, fit = DEFAULT_FIT, gravity = null, appSource = false }) {
+    const accept = req.headers.get("accept");
+    const format = negotiateOutputFormat(accept, removeBg);
+    const useCache = cacheEnabled && isCacheableSource(src);
+    const cacheKey = getCacheKey(sourceCacheId(src, sourceVersion), width, height, quality, removeBg, serverTintColor, format, describeLayout({ fit, gravity }));
+    if (useCache) {
+        const cached = await readCachedResponse(req, cacheKey);
+        if (cached) return cached;
+    }
+    const blocked = await checkSourceHost(src, routeLabel(new URL(req.url).pathname), appSource);
+    if (blocked) return blocked;
+    const throttled = checkRenderBudget(src);
+    if (throttled) return throttled;
+
     try {
-        const filePath = getShardedCachePath(key);
-        const metaPath = `${filePath}.json`;
-        await ensureCacheDir();
-        await Promise.all([
-            access(filePath, fsConstants.F_OK),
-            access(metaPath, fsConstants.F_OK)
-        ]);
-        const [body, metaRaw] = await Promise.all([
-            readFile(filePath),
-            readFile(metaPath, "utf8")
-        ]);
-        const meta = JSON.parse(metaRaw);
-        const headers = new Headers(meta.headers || []);
-        return {
-            body,
-            headers,
-            status: meta.status || 200,
-            statusText: meta.statusText || "OK"
-        };
-    } catch (err) {
-        return null;
+        const { value: rendered, shared } = await renderCoalescer.run(cacheKey, () =>
+            renderWithLock(cacheKey, useCache, () =>
+                renderDerivative({ src, width, height, quality, removeBg, fit, gravity, accept, format, cacheKey, useCache })
+            )
+        );
+        if (rendered.status >= 500) {
+            return (await staleOrFallbackResponse(src, useCache, accept, format)) || renderedResponse(rendered, shared);
+        }
+        return renderedResponse(rendered, shared);
+    } catch (e) {
+        logEvent("error", "Error resizing image", e);
+        return (await staleOrFallbackResponse(src, useCache, accept, format)) || new Response("Error resizing image", { status: 500 })
     }
 }
 
-async function writeToCache(key, data, headers, status, statusText, isTransparent = false) {
+// Stale-on-error: another cached derivative of the same source (e.g. a different size) in a format
+// the client accepts, preferably the negotiated one, else FALLBACK_IMAGE; null when neither exists.
+// Never cached downstream, so the real one replaces it.
+async function staleOrFallbackResponse(src, useCache, accept, format) {
     try {
-        await ensureCacheDir();
-        const filePath = getShardedCachePath(key);
-        const metaPath = `${filePath}.json`;
-        
-        // Ensure subdirectory exists for sharded path
-        const subdir = join(cacheDir, key.substring(0, 2));
-        await mkdir(subdir, { recursive: true });
-        
-        const serializedHeaders = Array.from(headers.entries()).filter(
-            ([name]) => name.toLowerCase() !== "x-cache"
-        );
-        
-        const metadata = {
-            headers: serializedHeaders,
-            status,
-            statusText,
-            isTransparent // Track if image has transparent background
-        };
-        
-        // Write both image and metadata - ensure both succeed
-        const metadataJson = JSON.stringify(metadata);
-        
-        const [imageResult, metaResult] = await Promise.allSettled([
-            writeFile(filePath, new Uint8Array(data)),
-            writeFile(metaPath, metadataJson)
-        ]);
-        
-        if (imageResult.status === 'rejected') {
-            console.error("Failed to write image cache file:", imageResult.reason);
+        let entry = null;
+        if (useCache) {
+            for (const key of await cache.sourceKeys(sourceIdentity(src))) {
+                const candidate = await cache.read(key);
+                const contentType = candidate?.headers.get("Content-Type") || "";
+                // Skip /placeholder/ and /info/ JSON indexed under the same source
+                if (!contentType.startsWith("image/") || !acceptsImageType(accept, contentType)) continue;
+                entry ??= candidate;
+                if (format && contentType.startsWith(`image/${format}`)) {
+                    entry = candidate;
+                    break;
+                }
+            }
+            if (entry) {
+                const headers = new Headers(entry.headers);
+                headers.delete("ETag");
+                headers.delete("Last-Modified");
+                headers.set("Server", "NextImageTransformation");
+                headers.set("Cache-Control", "no-store");
+                headers.set("X-Cache", "STALE");
+                headers.set("Vary", "Accept");
+                bytesServedTotal.inc({ cache: "STALE" }, entry.body.byteLength);
+                return new Response(entry.body, { headers, status: 200 });
+            }
         }
-        
-        if (metaResult.status === 'rejected') {
-            console.error("Failed to write image cache metadata:", metaResult.reason);
+        if (fallbackImagePath) {
+            const file = Bun.file(fallbackImagePath);
+            if (await file.exists()) {
+                bytesServedTotal.inc({ cache: "FALLBACK" }, file.size);
+                return new Response(file, {
+                    headers: {
+                        "Content-Type": file.type,
+                        "Server": "NextImageTransformation",
+                        "Cache-Control": "no-store",
+                        "X-Cache": "FALLBACK",
+                        "Vary": "Accept"
+                    }
+                });
+            }
         }
     } catch (err) {
-        console.error("Failed to write image cache", err);
+        logEvent("error", "Failed to serve a stale derivative", err);
     }
+    return null;
 }
 
-async function stats() {
-    try {
-        const summary = await getCacheStats();
-        const headers = new Headers({
-            "Content-Type": "application/json",
-            "Server": "NextImageTransformation"
-        });
-        return new Response(JSON.stringify(summary, null, 2), { headers });
-    } catch (err) {
-        console.error("Failed to calculate cache stats", err);
-        return new Response("Failed to read cache stats", { status: 500 });
+// Cached entry as a response (304 when the client's copy is current), or null on a miss
+async function readCachedResponse(req, cacheKey) {
+    return await timePhase("cache-read", () => readCachedEntry(req, cacheKey));
+}
+
+async function readCachedEntry(req, cacheKey) {
+    // Answer revalidation from metadata alone, without reading the image body
+    if (isConditionalRequest(req)) {
+        const meta = await cache.readMetadata(cacheKey);
+        if (meta && isNotModified(req, meta)) {
+            const notModified = notModifiedResponse(meta.headers);
+            setCacheHitHeaders(notModified.headers, meta.tier);
+            return notModified;
+        }
     }
+    const cached = await cache.read(cacheKey);
+    if (!cached) return null;
+    setCacheHitHeaders(cached.headers, cached.tier);
+    bytesServedTotal.inc({ cache: cached.headers.get("X-Cache") }, cached.body.byteLength);
+    return new Response(cached.body, {
+        headers: cached.headers,
+        status: cached.status,
+        statusText: cached.statusText
+    });
 }
 
-// Helper: process a single JSON metadata file; only mutates dirStats (per-directory stats)
-async function processOneMetadataFile(dirPath, entry, dirStats) {
-    const filePath = join(dirPath, entry.name);
-    let size;
-    try {
-        size = (await stat(filePath)).size;
-    } catch {
-        return { processedFiles: [] };
+function renderedResponse(rendered, shared) {
+    const headers = new Headers(rendered.headers);
+    if (shared && headers.get("X-Cache") === "MISS") {
+        // Another request for the same derivative did the imgproxy fetch
+        headers.set("X-Cache", "COALESCED");
     }
-    dirStats.metadataBytes += size;
-    if (size === 0) return { processedFiles: [] };
+    bytesServedTotal.inc({ cache: headers.get("X-Cache") }, rendered.body.byteLength);
+    return new Response(rendered.body, {
+        headers,
+        status: rendered.status,
+        statusText: rendered.statusText
+    });
+}
 
-    try {
-        const metaRaw = await readFile(filePath, "utf8");
-        if (!metaRaw || metaRaw.trim() === "") return { processedFiles: [] };
-        const meta = JSON.parse(metaRaw);
-        const baseName = entry.name.replace(".json", "");
-        const imageFilePath = join(dirPath, baseName);
+// Render one derivative through imgproxy and store it; returns the cache entry shape
+async function renderDerivative({ src, width, height, quality, removeBg, fit, gravity, accept, format, cacheKey, useCache }) {
+    const image = await renderImage({ src, width, height, quality, removeBg, fit, gravity, accept, format });
+    let arrayBuffer = await image.arrayBuffer();
+    // Apply server tint for load-balancing visibility (each server gets a different colour)
+    if (image.ok && serverTintColor) {
         try {
-            await access(imageFilePath, fsConstants.F_OK);
-            const imageSize = (await stat(imageFilePath)).size;
-            if (imageSize === 0) return { processedFiles: [imageFilePath] };
-
-            if (meta.isTransparent === true) {
-                dirStats.transparentCount++;
-                dirStats.transparentBytes += imageSize;
-            } else {
-                dirStats.normalCount++;
-                dirStats.normalBytes += imageSize;
-            }
-            dirStats.imageBytes += imageSize;
-            dirStats.count++;
-            return { processedFiles: [imageFilePath] };
-        } catch {
-            return { processedFiles: [] };
+            const tinted = await sharp(Buffer.from(arrayBuffer))
+                .tint(serverTintColor)
+                .toBuffer();
+            arrayBuffer = tinted.buffer.slice(tinted.byteOffset, tinted.byteOffset + tinted.byteLength);
+        } catch (tintErr) {
+            logEvent("warn", "Failed to apply server tint", tintErr);
         }
-    } catch {
-        return { processedFiles: [] };
     }
+    const headers = new Headers(image.headers);
+    headers.set("Server", "NextImageTransformation");
+    if (image.ok) {
+        headers.set("ETag", createDerivativeEtag(cacheKey, arrayBuffer));
+        headers.set("Last-Modified", new Date().toUTCString());
+    }
+    if (image.ok && useCache) {
+        await storeCacheEntry(src, cacheKey, arrayBuffer, headers, image.status, image.statusText, removeBg); // Track if transparent
+    }
+    headers.set("X-Cache", image.ok ? (useCache ? "MISS" : "BYPASS") : "SKIP");
+    headers.set("Vary", "Accept");
+    return {
+        body: arrayBuffer,
+        headers,
+        status: image.status,
+        statusText: image.statusText
+    };
 }
 
-const STATS_BATCH_SIZE = 64; // parallel file ops per directory
-
-// Helper: process one directory and accumulate into dirStats only (no shared state)
-async function processCacheDirectory(dirPath, dirStats) {
-    try {
-        const entries = await readdir(dirPath, { withFileTypes: true });
-        const processedFiles = new Set();
-
-        const jsonEntries = entries.filter(e => e.isFile() && e.name.endsWith(".json"));
-        for (let i = 0; i < jsonEntries.length; i += STATS_BATCH_SIZE) {
-            const batch = jsonEntries.slice(i, i + STATS_BATCH_SIZE);
-            const results = await Promise.all(
-                batch.map((entry) => processOneMetadataFile(dirPath, entry, dirStats))
-            );
-            for (const r of results) {
-                for (const p of r.processedFiles) processedFiles.add(p);
+// Render with the configured engine; in auto mode a network failure, timeout or open circuit breaker
+// on imgproxy falls back to sharp
+async function renderImage(options) {
+    if (engineSelector.current() === "imgproxy") {
+        try {
+            const response = await timePhase("imgproxy", () => fetchFromImgproxy(options));
+            annotateRequest({ engine: "imgproxy", upstreamStatus: response.status });
+            // A 5xx that is still failing after the retries counts like a network error
+            if (response.status < 500 || !engineSelector.reportImgproxyFailure(new Error(`imgproxy responded with ${response.status}`))) {
+                return response;
             }
+            await response.arrayBuffer().catch(() => {});
+        } catch (e) {
+            if (!engineSelector.reportImgproxyFailure(e)) throw e;
         }
+    }
+    if (engineSelector.fallbackEnabled) engineSelector.countFallbackRender();
+    const response = await timePhase("sharp", () => renderWithSharp({
+        ...options,
+        box: backgroundRemovalBox(options.width, options.height),
+        whiteBackgroundThreshold
+    }));
+    annotateRequest({ engine: "sharp", upstreamStatus: response.status });
+    return response;
+}
 
-        const nonJsonFiles = entries.filter(e => e.isFile() && !e.name.endsWith(".json"));
-        for (const entry of nonJsonFiles) {
-            const filePath = join(dirPath, entry.name);
-            if (processedFiles.has(filePath)) continue;
-            try {
-                const size = (await stat(filePath)).size;
-                if (size > 0) {
-                    dirStats.uncategorizedCount++;
-                    dirStats.uncategorizedBytes += size;
-                    dirStats.imageBytes += size;
-                    dirStats.count++;
-                    processedFiles.add(filePath);
-                }
-            } catch {
-                // ignore
-            }
+async function fetchFromImgproxy({ src, width, height, quality, removeBg, fit, gravity, accept, format }) {
+    const lead = imgproxyLeadingOptions();
+    let imgproxyPath = lead;
+    
+    // Add trim option if background removal is requested
+    // trim:threshold:color - explicitly specify white (FFFFFF) for better performance
+    if (removeBg) {
+        // Map threshold from 0-255 range to 0-100 range for imgproxy
+        // Higher threshold = more sensitive (only very white), so we invert: 255 -> 0, 247 -> ~3, 240 -> ~6
+        const trimThreshold = Math.max(0, Math.min(100, Math.round((255 - whiteBackgroundThreshold) / 2.55)));
+        // Explicitly specify white color (FFFFFF) for trim - this is more efficient
+        imgproxyPath = joinImgproxyPath(imgproxyPath, `trim:${trimThreshold}:FFFFFF`);
+        
+        // After trim, resize to fit within requested dimensions, then extend to fill exactly
+        // (a square when only one dimension is given)
+        const { width: finalWidth, height: finalHeight } = backgroundRemovalBox(width, height);
+        
+        // Resize to fit within the target dimensions (preserves aspect ratio, fits within bounds)
+        // This should ensure both dimensions are <= target
+        imgproxyPath = joinImgproxyPath(imgproxyPath, `resize:fit:${finalWidth}:${finalHeight}`);
+        
+        // Extend to fill exact dimensions with transparent background (centered)
+        // This adds transparent padding if the image is smaller than requested
+        imgproxyPath = joinImgproxyPath(imgproxyPath, "extend:1:ce");
+        
+        // Negotiated format always supports transparency (AVIF/WebP, PNG as fallback)
+        imgproxyPath = joinImgproxyPath(imgproxyPath, `format:${format}`);
+    } else {
+        // Normal images: cover (fill + crop) by default, see imgproxyResizeSegments() for the other fit modes
+        imgproxyPath = joinImgproxyPath(imgproxyPath, ...imgproxyResizeSegments(fit, width, height, gravity));
+        if (format) {
+            imgproxyPath = joinImgproxyPath(imgproxyPath, `format:${format}`);
         }
+    }
+    
+    // imgproxy reads private S3 sources through a presigned URL signed with the service's credentials
+    const imgproxySource = isS3Source(src) ? await presignS3Source(src) : src;
+    imgproxyPath = joinImgproxyPath(
+        imgproxyPath,
+        `q:${quality}`,
+        `plain/${encodeImgproxyPlainSource(imgproxySource)}`
+    );
+    const imgproxyRequestUrl = buildImgproxyRequestUrl(
+        imgproxyUrl,
+        imgproxyPath,
+        imgproxyKey,
+        imgproxySalt
+    );
+    const startedAt = performance.now();
+    let outcome = "error";
+    try {
+        const headers = { "Accept": upstreamAcceptHeader(accept, format) };
+        // imgproxy logs this ID (IMGPROXY_REQUEST_ID_HEADER defaults to X-Request-ID)
+        const requestId = currentRequestId();
+        if (requestId) headers["X-Request-ID"] = requestId;
+        const response = await imgproxyClient.fetch(imgproxyRequestUrl, { headers });
+        outcome = `${Math.floor(response.status / 100)}xx`;
+        return response;
     } catch (e) {
-        // Directory doesn't exist or can't be read - skip
-    }
-}
-
-function mergeDirStatsIntoStats(dirStats, stats) {
-    stats.imageBytes += dirStats.imageBytes;
-    stats.metadataBytes += dirStats.metadataBytes;
-    stats.normalCount += dirStats.normalCount;
-    stats.normalBytes += dirStats.normalBytes;
-    stats.transparentCount += dirStats.transparentCount;
-    stats.transparentBytes += dirStats.transparentBytes;
-    stats.uncategorizedCount += dirStats.uncategorizedCount;
-    stats.uncategorizedBytes += dirStats.uncategorizedBytes;
-}
-
-async function getCacheStats() {
-    if (!cacheEnabled) {
-        return {
-            cacheEnabled: false,
-            cacheDir,
-            entries: 0,
-            imageMB: 0,
-            metadataMB: 0,
-            totalMB: 0,
-            normalImages: {
-                count: 0,
-                sizeMB: 0
-            },
-            transparentImages: {
-                count: 0,
-                sizeMB: 0
-            }
-        };
+        if (e.code === "TIMEOUT") outcome = "timeout";
+        if (e.code === "CIRCUIT_OPEN") outcome = "circuit_open";
+        throw e;
+    } finally {
+        imgproxyRequestDuration.observe({ outcome }, (performance.now() - startedAt) / 1000);
     }
+}
 
-    await ensureCacheDir();
+// Write a cache entry and index it under its source (for purges); failures are counted, not thrown
+async function storeCacheEntry(src, cacheKey, body, headers, status, statusText, isTransparent) {
+    await timePhase("cache-write", async () => {
+        if (!(await cache.write(cacheKey, body, headers, status, statusText, isTransparent))) {
+            cacheWriteFailuresTotal.inc({ backend: cache.name });
+            return;
+        }
+        await cache.indexSource(sourceIdentity(src), cacheKey);
+    });
+}
 
-    const stats = {
-        imageBytes: 0,
-        metadataBytes: 0,
-        normalCount: 0,
-        normalBytes: 0,
-        transparentCount: 0,
-        transparentBytes: 0,
-        uncategorizedCount: 0,
-        uncategorizedBytes: 0
-    };
+// X-Cache names the tier that served the hit: HIT-MEMORY, HIT-DISK or HIT-S3
+function setCacheHitHeaders(headers, tier) {
+    headers.set("Server", "NextImageTransformation");
+    headers.set("X-Cache", `HIT-${(tier || cache.name).toUpperCase()}`);
+    headers.set("Vary", "Accept");
+}
 
-    const directoryStats = new Map(); // Track stats per directory
-
-    // Process root directory (for backwards compatibility with old cache files)
-    const rootDirStats = {
-        count: 0,
-        imageBytes: 0,
-        metadataBytes: 0,
-        normalCount: 0,
-        normalBytes: 0,
-        transparentCount: 0,
-        transparentBytes: 0,
-        uncategorizedCount: 0,
-        uncategorizedBytes: 0
-    };
-    await processCacheDirectory(cacheDir, rootDirStats);
-    mergeDirStatsIntoStats(rootDirStats, stats);
-    if (rootDirStats.count > 0) {
-        directoryStats.set("(root)", rootDirStats);
-    }
+function getCacheKey(src, width, height, quality, removeBg = false, tintColor = null, format = null, layout = "") {
+    const hash = createHash("sha256");
+    // Every key has the format segment (keys from before format negotiation are not reused, their
+    // entries may be AVIF/WebP picked by imgproxy's detection); layout is appended only when
+    // non-default, so cover/center entries kept their keys when fit/gravity were added
+    hash.update(`${src}|${width}|${height}|${quality}|${removeBg}|${tintColor || ""}|${format || ""}${layout ? `|${layout}` : ""}`);
+    return hash.digest("hex");
+}
 
-    // Process only existing sharded subdirectories, in parallel
-    let subdirs = [];
-    try {
-        const topEntries = await readdir(cacheDir, { withFileTypes: true });
-        subdirs = topEntries.filter((e) => e.isDirectory() && /^[0-9a-f]{2}$/i.test(e.name)).map((e) => e.name);
-    } catch (e) {
-        // ignore
-    }
-
-    const subdirResults = await Promise.all(
-        subdirs.map(async (subdir) => {
-            const dirStats = {
-                count: 0,
-                imageBytes: 0,
-                metadataBytes: 0,
-                normalCount: 0,
-                normalBytes: 0,
-                transparentCount: 0,
-                transparentBytes: 0,
-                uncategorizedCount: 0,
-                uncategorizedBytes: 0
-            };
-            await processCacheDirectory(join(cacheDir, subdir), dirStats);
-            return [subdir, dirStats];
-        })
-    );
-    for (const [name, dirStats] of subdirResults) {
-        mergeDirStatsIntoStats(dirStats, stats);
-        if (dirStats.count > 0) directoryStats.set(name, dirStats);
-    }
-
-    const totalCount = stats.normalCount + stats.transparentCount + stats.uncategorizedCount;
-
-    // Calculate distribution statistics
-    const shardedDirs = Array.from(directoryStats.entries()).filter(([name]) => name !== "(root)");
-    const dirCounts = shardedDirs.map(([, d]) => d.count).filter(c => c > 0);
-    const distribution = {
-        totalSubdirectories: shardedDirs.length,
-        emptySubdirectories: 256 - shardedDirs.length,
-        minFilesPerDir: dirCounts.length > 0 ? Math.min(...dirCounts) : 0,
-        maxFilesPerDir: dirCounts.length > 0 ? Math.max(...dirCounts) : 0,
-        avgFilesPerDir: dirCounts.length > 0 ? Number((dirCounts.reduce((a, b) => a + b, 0) / dirCounts.length).toFixed(2)) : 0,
-        medianFilesPerDir: dirCounts.length > 0 ? calculateMedian(dirCounts) : 0
-    };
+// Keys of JSON documents about a source ("placeholder", "info"); namespaced apart from getCacheKey()
+function getSourceJsonCacheKey(kind, src, sourceVersion = null) {
+    return createHash("sha256").update(`${kind}|${sourceCacheId(src, sourceVersion)}`).digest("hex");
+}
 
-    // Get top and bottom directories by file count
-    const sortedDirs = Array.from(directoryStats.entries())
-        .filter(([name]) => name !== "(root)")
-        .sort((a, b) => b[1].count - a[1].count);
-    
-    const topDirectories = sortedDirs.slice(0, 10).map(([name, dirStats]) => ({
-        subdirectory: name,
-        count: dirStats.count,
-        sizeMB: toMB(dirStats.imageBytes + dirStats.metadataBytes),
-        normalCount: dirStats.normalCount,
-        transparentCount: dirStats.transparentCount
-    }));
+// Source part of cache keys; versioned sources (local files, S3 objects, presigned URLs) are keyed by
+// their version too. Entries are still indexed under sourceIdentity(), so purges cover every version.
+function sourceCacheId(src, sourceVersion) {
+    const identity = sourceIdentity(src);
+    return sourceVersion ? `${identity}|version:${sourceVersion}` : identity;
+}
 
-    const bottomDirectories = sortedDirs.slice(-10).reverse().map(([name, dirStats]) => ({
-        subdirectory: name,
-        count: dirStats.count,
-        sizeMB: toMB(dirStats.imageBytes + dirStats.metadataBytes),
-        normalCount: dirStats.normalCount,
-        transparentCount: dirStats.transparentCount
-    }));
+// The source a derivative is cached and indexed under: presigned URLs without their signature
+// (only when PRESIGNED_SOURCE_CACHE is on; see presigned-source.js)
+function sourceIdentity(src) {
+    return presignedSourceCachingEnabled() && isAwsPresignedSourceUrl(src) ? stablePresignedSourceUrl(src) : src;
+}
 
-    const result = {
-        cacheEnabled: true,
-        cacheDir,
-        entries: totalCount,
-        imageMB: toMB(stats.imageBytes),
-        metadataMB: toMB(stats.metadataBytes),
-        totalMB: toMB(stats.imageBytes + stats.metadataBytes),
-        normalImages: {
-            count: stats.normalCount,
-            sizeMB: toMB(stats.normalBytes)
-        },
-        transparentImages: {
-            count: stats.transparentCount,
-            sizeMB: toMB(stats.transparentBytes)
-        },
-        uncategorizedImages: {
-            count: stats.uncategorizedCount,
-            sizeMB: toMB(stats.uncategorizedBytes)
-        },
-        distribution,
-        topDirectories,
-        bottomDirectories
-    };
+// Presigned URLs change on every signing, so they are only cached by their stable identity
+function isCacheableSource(src) {
+    return !isAwsPresignedSourceUrl(src) || presignedSourceCachingEnabled();
+}
 
-    // Add root directory stats if it has files
-    if (directoryStats.has("(root)")) {
-        const rootStats = directoryStats.get("(root)");
-        result.rootDirectory = {
-            count: rootStats.count,
-            sizeMB: toMB(rootStats.imageBytes + rootStats.metadataBytes),
-            normalCount: rootStats.normalCount,
-            transparentCount: rootStats.transparentCount
-        };
+// Render under the cross-replica lock; if another replica holds it, serve its result from cache
+async function renderWithLock(cacheKey, useCache, render) {
+    if (!useCache || !cacheLockEnabled || !cache.acquireLock) return render();
+    const locked = await cache.acquireLock(cacheKey);
+    if (!locked) {
+        const cached = await waitForCacheEntry(() => cache.read(cacheKey), cacheLockTimeoutMs);
+        if (cached) {
+            setCacheHitHeaders(cached.headers, cached.tier);
+            return cached;
+        }
+    }
+    try {
+        return await render();
+    } finally {
+        if (locked) await cache.releaseLock(cacheKey);
     }
+}
 
-    return result;
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body, null, 2), {
+        status,
+        headers: {
+            "Content-Type": "application/json",
+            "Server": "NextImageTransformation"
+        }
+    });
 }
 
-function calculateMedian(values) {
-    const sorted = [...values].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 === 0 
-        ? Number(((sorted[mid - 1] + sorted[mid]) / 2).toFixed(2))
-        : sorted[mid];
+function isAuthorizedPurge(req) {
+    const auth = req.headers.get("authorization") || "";
+    const token = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+    // Compare digests so the check takes the same time for every token length
+    const expected = createHash("sha256").update(cachePurgeToken).digest();
+    const actual = createHash("sha256").update(token).digest();
+    return token.length > 0 && timingSafeEqual(expected, actual);
+}
+
+// POST /cache/purge with {"url": "<source>"} or {"prefix": "<source prefix>"}:
+// delete every cached derivative (all sizes, qualities, formats) of the matching sources
+async function purge(req) {
+    if (!cachePurgeToken) {
+        return jsonResponse({ error: "Cache purge is disabled (CACHE_PURGE_TOKEN not set)" }, 404);
+    }
+    if (req.method !== "POST") {
+        return jsonResponse({ error: "Method not allowed, use POST" }, 405);
+    }
+    if (!isAuthorizedPurge(req)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    let body;
+    try {
+        body = await req.json();
+    } catch {
+        return jsonResponse({ error: "Request body must be JSON" }, 400);
+    }
+    const sourceUrl = typeof body?.url === "string" ? body.url.trim() : "";
+    const prefix = typeof body?.prefix === "string" ? body.prefix.trim() : "";
+    if (!sourceUrl && !prefix) {
+        return jsonResponse({ error: "Provide a source \"url\" or a \"prefix\"" }, 400);
+    }
+
+    try {
+        const sources = [];
+        if (sourceUrl) {
+            sources.push(sourceIdentity(sourceUrl));
+        } else {
+            for await (const src of cache.indexedSources(prefix)) sources.push(src);
+        }
+        let purged = 0;
+        for (const src of sources) {
+            const keys = await cache.sourceKeys(src);
+            const results = await Promise.all(keys.map((key) => cache.delete(key)));
+            purged += results.filter(Boolean).length;
+            await cache.dropSourceIndex(src);
+        }
+        logEvent("info", "Cache purge", null, { sources: sources.length, purged });
+        return jsonResponse({ sources: sources.length, purged });
+    } catch (err) {
+        logEvent("error", "Failed to purge cache", err);
+        return jsonResponse({ error: "Failed to purge cache" }, 500);
+    }
 }
 
-function toMB(bytes) {
-    return Number((bytes / (1024 * 1024)).toFixed(2));
+async function stats() {
+    try {
+        const summary = { ...(await cache.stats()), engine: engineSelector.getStats(), imgproxy: imgproxyClient.getStats() };
+        const headers = new Headers({
+            "Content-Type": "application/json",
+            "Server": "NextImageTransformation"
+        });
+        return new Response(JSON.stringify(summary, null, 2), { headers });
+    } catch (err) {
+        logEvent("error", "Failed to calculate cache stats", err);
+        return new Response("Failed to read cache stats", { status: 500 });
+    }
 }
 
 async function healthCheck() {
+    if (engineSelector.mode === "sharp") {
+        return new Response("OK (sharp engine)");
+    }
+    if (engineSelector.fallbackEnabled) {
+        // Still serving when imgproxy is down, just with the sharp engine
+        await engineSelector.runCheck();
+        return new Response(engineSelector.current() === "imgproxy" ? "OK" : "OK (imgproxy unavailable, rendering with sharp)");
+    }
+    return (await checkImgproxy())
+        ? new Response("OK")
+        : new Response("Imgproxy health check failed", { status: 503 });
+}
+
+function recordHealthCheck(healthy) {
+    healthChecksTotal.inc({ result: healthy ? "ok" : "fail" });
+    imgproxyUp.set({}, healthy ? 1 : 0);
+}
+
+async function checkImgproxy() {
     const healthUrl = buildImgproxyRequestUrl(
         imgproxyUrl,
         joinImgproxyPath(
@@ -571,17 +932,22 @@ async function healthCheck() {
         const response = await fetch(healthUrl, {
             headers: {
                 "Accept": "image/avif,image/webp,image/apng,*/*",
-            }
+                ...(currentRequestId() ? { "X-Request-ID": currentRequestId() } : {}),
+            },
+            signal: AbortSignal.timeout(imgproxyTimeoutMs)
         });
 
         if (!response.ok) {
-            console.warn("Health check failed", response.status, response.statusText);
-            return new Response("Imgproxy health check failed", { status: 503 });
+            logEvent("warn", "Health check failed", null, { upstreamStatus: response.status });
+            recordHealthCheck(false);
+            return false;
         }
 
-        return new Response("OK");
+        recordHealthCheck(true);
+        return true;
     } catch (error) {
-        console.error("Health check error", error);
-        return new Response("Imgproxy health check failed", { status: 503 });
+        logEvent("error", "Health check error", error);
+        recordHealthCheck(false);
+        return false;
     }
 }
\ No newline at end of file
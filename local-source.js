@@ -0,0 +1,67 @@
+import { realpath, stat } from "node:fs/promises";
+import { resolve, sep } from "node:path";
+
+/**
+ * Images on the local filesystem or a mounted volume, requested as /image/local/{path} and handled
+ * internally as `local:///{path}` (imgproxy's own local source syntax, so the same string can be
+ * passed to imgproxy when its IMGPROXY_LOCAL_FILESYSTEM_ROOT points at the same directory).
+ * Paths are resolved under LOCAL_SOURCES_DIR; anything escaping it, including through symlinks,
+ * is treated as missing. Local sources are disabled while LOCAL_SOURCES_DIR is unset.
+ */
+
+export const LOCAL_SOURCE_PREFIX = "local:///";
+
+const localSourcesDir = process?.env?.LOCAL_SOURCES_DIR?.trim() ? resolve(process.env.LOCAL_SOURCES_DIR.trim()) : "";
+
+/** @param {string} src */
+export function isLocalSource(src) {
+    return src.startsWith(LOCAL_SOURCE_PREFIX);
+}
+
+export function localSourcesEnabled() {
+    return localSourcesDir !== "";
+}
+
+function isInside(root, path) {
+    return path === root || path.startsWith(root.endsWith(sep) ? root : `${root}${sep}`);
+}
+
+/**
+ * @param {string} src - `local:///{path}`
+ * @returns {Promise<{ path: string, mtimeMs: number, size: number } | null>} null when local sources are
+ *   disabled or the file does not exist, is not a regular file or lies outside LOCAL_SOURCES_DIR
+ */
+export async function statLocalSource(src) {
+    if (!localSourcesDir || !isLocalSource(src)) return null;
+    const relative = src.slice(LOCAL_SOURCE_PREFIX.length);
+    if (!relative || relative.includes("\0")) return null;
+    const path = resolve(localSourcesDir, relative);
+    if (!isInside(localSourcesDir, path)) return null;
+    try {
+        const [realRoot, realPath] = await Promise.all([realpath(localSourcesDir), realpath(path)]);
+        if (!isInside(realRoot, realPath)) return null;
+        const info = await stat(realPath);
+        if (!info.isFile()) return null;
+        return { path: realPath, mtimeMs: info.mtimeMs, size: info.size };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read a local source as a fetch()-like response, so the sharp engine and /info/ can treat it
+ * like a remote original.
+ * @param {string} src - `local:///{path}`
+ * @returns {Promise<Response>} 404 when the file is not available
+ */
+export async function readLocalSource(src) {
+    const local = await statLocalSource(src);
+    if (!local) return new Response("Local source not found", { status: 404 });
+    const file = Bun.file(local.path);
+    return new Response(file, {
+        headers: {
+            "Content-Type": file.type,
+            "Last-Modified": new Date(local.mtimeMs).toUTCString(),
+        },
+    });
+}
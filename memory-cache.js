@@ -0,0 +1,154 @@
+/**
+ * In-process memory cache backend, bounded by bytes with least-recently-used eviction.
+ * Optional: MEMORY_CACHE_MAX_MB (default 256). Contents are lost on restart and not shared
+ * between replicas.
+ */
+
+const defaultMaxBytes = Math.round(parseFloat(process?.env?.MEMORY_CACHE_MAX_MB || "256") * 1024 * 1024) || 0;
+
+function toMB(bytes) {
+    return Number((bytes / (1024 * 1024)).toFixed(2));
+}
+
+/**
+ * @param {{ maxBytes?: number }} [options]
+ */
+export function createMemoryCache({ maxBytes = defaultMaxBytes } = {}) {
+    // Map iteration order doubles as recency order: oldest first
+    const entries = new Map();
+    // Source URL -> cache keys rendered from it, for purges; keySources is the reverse, so evicted
+    // keys leave the index too
+    const sources = new Map();
+    const keySources = new Map();
+    let totalBytes = 0;
+    let evictedEntries = 0;
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (!entry) return false;
+        entries.delete(key);
+        totalBytes -= entry.size;
+        unindex(key);
+        return true;
+    }
+
+    function unindex(key) {
+        const src = keySources.get(key);
+        if (src === undefined) return;
+        keySources.delete(key);
+        const keys = sources.get(src);
+        keys?.delete(key);
+        if (keys?.size === 0) sources.delete(src);
+    }
+
+    function touch(key) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        entries.delete(key);
+        entries.set(key, entry);
+        return entry;
+    }
+
+    async function read(key) {
+        const entry = touch(key);
+        if (!entry) return null;
+        return {
+            body: entry.body,
+            headers: new Headers(entry.meta.headers || []),
+            status: entry.meta.status || 200,
+            statusText: entry.meta.statusText || "OK",
+            isTransparent: entry.meta.isTransparent === true,
+            tier: "memory",
+        };
+    }
+
+    async function readMetadata(key) {
+        const entry = touch(key);
+        return entry ? { ...entry.meta, tier: "memory" } : null;
+    }
+
+    async function write(key, data, headers, status, statusText, isTransparent = false) {
+        const body = new Uint8Array(data);
+        const meta = {
+            headers: Array.from(headers.entries()).filter(([name]) => name.toLowerCase() !== "x-cache"),
+            status,
+            statusText,
+            etag: headers.get("etag"),
+            lastModified: headers.get("last-modified"),
+            isTransparent,
+        };
+        const size = body.byteLength;
+        // Never let a single derivative flush the whole cache (skipped by design, not a failure)
+        if (maxBytes > 0 && size > maxBytes) return true;
+        remove(key);
+        entries.set(key, { body, meta, size });
+        totalBytes += size;
+        while (maxBytes > 0 && totalBytes > maxBytes) {
+            const oldestKey = entries.keys().next().value;
+            remove(oldestKey);
+            evictedEntries++;
+        }
+        return true;
+    }
+
+    async function stats() {
+        let transparentCount = 0, transparentBytes = 0;
+        for (const entry of entries.values()) {
+            if (entry.meta.isTransparent) {
+                transparentCount++;
+                transparentBytes += entry.size;
+            }
+        }
+        return {
+            cacheEnabled: true,
+            cacheBackend: "memory",
+            cacheDir: null,
+            entries: entries.size,
+            maxMB: maxBytes > 0 ? toMB(maxBytes) : null,
+            evictedEntries,
+            imageMB: toMB(totalBytes),
+            metadataMB: 0,
+            totalMB: toMB(totalBytes),
+            normalImages: { count: entries.size - transparentCount, sizeMB: toMB(totalBytes - transparentBytes) },
+            transparentImages: { count: transparentCount, sizeMB: toMB(transparentBytes) },
+            uncategorizedImages: { count: 0, sizeMB: 0 },
+        };
+    }
+
+    async function* list() {
+        yield* [...entries.keys()];
+    }
+
+    async function indexSource(src, key) {
+        // Only live entries are indexed (the write may have been skipped as too large)
+        if (!entries.has(key)) return;
+        unindex(key);
+        if (!sources.has(src)) sources.set(src, new Set());
+        sources.get(src).add(key);
+        keySources.set(key, src);
+    }
+
+    async function* indexedSources(prefix = "") {
+        for (const src of [...sources.keys()]) {
+            if (src.startsWith(prefix)) yield src;
+        }
+    }
+
+    return {
+        name: "memory",
+        location: "memory",
+        read,
+        readMetadata,
+        write,
+        delete: async (key) => remove(key),
+        stats,
+        list,
+        indexSource,
+        sourceKeys: async (src) => [...(sources.get(src) || [])],
+        indexedSources,
+        dropSourceIndex: async (src) => {
+            for (const key of sources.get(src) || []) keySources.delete(key);
+            sources.delete(src);
+        },
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4) for `/metrics`.
+ * Counters, gauges and histograms with labels; no client library needed.
+ */
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return "";
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+// Stable series key: label values in declaration order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+}
+
+export function createMetricsRegistry() {
+    const metrics = [];
+
+    function register(name, help, type, renderSeries) {
+        metrics.push({ name, help, type, renderSeries });
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     */
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+        register(name, help, "counter", () =>
+            [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+        );
+        return {
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(labelNames, labels);
+                const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+                entry.value += value;
+                series.set(key, entry);
+            },
+        };
+    }
+
+    function gauge(name, help, labelNames = []) {
+        const series = new Map();
+        register(name, help, "gauge", () =>
+            [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+        );
+        return {
+            set(labels = {}, value) {
+                series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+            },
+        };
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {number[]} buckets - upper bounds, ascending (`+Inf` is added)
+     * @param {string[]} [labelNames]
+     */
+    function histogram(name, help, buckets, labelNames = []) {
+        const series = new Map();
+        register(name, help, "histogram", () => {
+            const lines = [];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((le, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines;
+        });
+        return {
+            observe(labels = {}, value) {
+                const key = seriesKey(labelNames, labels);
+                let entry = series.get(key);
+                if (!entry) {
+                    entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+                    series.set(key, entry);
+                }
+                buckets.forEach((le, i) => {
+                    if (value <= le) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            },
+        };
+    }
+
+    /** @returns {string} every metric in Prometheus text format */
+    function render() {
+        const lines = [];
+        for (const { name, help, type, renderSeries } of metrics) {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            lines.push(...renderSeries());
+        }
+        return `${lines.join("\n")}\n`;
+    }
+
+    return { counter, gauge, histogram, render };
+}
@@ -0,0 +1,92 @@
+/**
+ * Request validation for the Next.js-compatible `/_next/image?url=&w=&q=` route, mirroring
+ * the checks and error messages of Next.js' built-in image optimizer, so `images.path` can
+ * point at this service without a custom loader.
+ *
+ * Optional: NEXT_APP_ORIGIN (resolves relative `url`s, e.g. https://www.example.com),
+ * NEXT_IMAGE_DEVICE_SIZES, NEXT_IMAGE_SIZES, NEXT_IMAGE_QUALITIES (comma-separated),
+ * NEXT_IMAGE_MINIMUM_CACHE_TTL (seconds, default 60).
+ */
+
+function parseList(value, fallback) {
+    if (!value) return fallback;
+    return value.split(",").map((v) => parseInt(v.trim(), 10)).filter((v) => Number.isInteger(v) && v > 0);
+}
+
+// Defaults from next.config.js `images`
+const deviceSizes = parseList(process?.env?.NEXT_IMAGE_DEVICE_SIZES, [640, 750, 828, 1080, 1200, 1920, 2048, 3840]);
+const imageSizes = parseList(process?.env?.NEXT_IMAGE_SIZES, [16, 32, 48, 64, 96, 128, 256, 384]);
+const qualities = parseList(process?.env?.NEXT_IMAGE_QUALITIES, null);
+const appOrigin = process?.env?.NEXT_APP_ORIGIN?.trim().replace(/\/$/, "") || "";
+export const nextImageMinimumCacheTTL = parseInt(process?.env?.NEXT_IMAGE_MINIMUM_CACHE_TTL || "60", 10) || 60;
+
+const allowedWidths = new Set([...deviceSizes, ...imageSizes]);
+
+/**
+ * Validate `/_next/image` query parameters.
+ * @param {URL} requestUrl
+ * @returns {{ src: string, width: number, quality: number, isStatic: boolean, isAppUrl: boolean } | { error: string }}
+ *   every error maps to a 400 response, like Next.js; `isAppUrl` marks a relative `url` resolved
+ *   against NEXT_APP_ORIGIN (a local image, which Next.js doesn't check against remotePatterns)
+ */
+export function parseNextImageRequest(requestUrl) {
+    const urls = requestUrl.searchParams.getAll("url");
+    const widths = requestUrl.searchParams.getAll("w");
+    const qs = requestUrl.searchParams.getAll("q");
+
+    if (urls.length === 0 || !urls[0]) return { error: '"url" parameter is required' };
+    if (urls.length > 1) return { error: '"url" parameter cannot be an array' };
+    const url = urls[0];
+    if (url.length > 3072) return { error: '"url" parameter is too long' };
+    if (url.startsWith("//")) return { error: '"url" parameter cannot be a protocol-relative URL (//)' };
+
+    let src;
+    let isStatic = false;
+    const isAppUrl = url.startsWith("/");
+    if (isAppUrl) {
+        if (!appOrigin) return { error: '"url" parameter is invalid' };
+        src = `${appOrigin}${url}`;
+        isStatic = url.startsWith("/_next/static/media");
+    } else {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return { error: '"url" parameter is invalid' };
+        }
+        if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+            return { error: '"url" parameter is invalid' };
+        }
+        src = url;
+    }
+
+    if (widths.length === 0 || !widths[0]) return { error: '"w" parameter (width) is required' };
+    if (widths.length > 1) return { error: '"w" parameter (width) cannot be an array' };
+    if (!/^[0-9]+$/.test(widths[0])) return { error: '"w" parameter (width) must be an integer greater than 0' };
+    const width = parseInt(widths[0], 10);
+    if (width <= 0 || Number.isNaN(width)) return { error: '"w" parameter (width) must be an integer greater than 0' };
+    if (!allowedWidths.has(width)) return { error: `"w" parameter (width) of ${width} is not allowed` };
+
+    if (qs.length === 0 || !qs[0]) return { error: '"q" parameter (quality) is required' };
+    if (qs.length > 1) return { error: '"q" parameter (quality) cannot be an array' };
+    if (!/^[0-9]+$/.test(qs[0])) return { error: '"q" parameter (quality) must be an integer between 1 and 100' };
+    const quality = parseInt(qs[0], 10);
+    if (quality < 1 || quality > 100) return { error: '"q" parameter (quality) must be an integer between 1 and 100' };
+    if (qualities && !qualities.includes(quality)) return { error: `"q" parameter (quality) of ${quality} is not allowed` };
+
+    return { src, width, quality, isStatic, isAppUrl };
+}
+
+/**
+ * Next.js Cache-Control for optimized images: immutable for build-time static imports,
+ * otherwise the larger of the upstream max-age and the minimum TTL, with must-revalidate.
+ * @param {string | null} upstreamCacheControl
+ * @param {boolean} isStatic
+ */
+export function nextImageCacheControl(upstreamCacheControl, isStatic) {
+    if (isStatic) return "public, max-age=315360000, immutable";
+    const match = /(?:^|,)\s*s-maxage=(\d+)/i.exec(upstreamCacheControl || "")
+        || /(?:^|,)\s*max-age=(\d+)/i.exec(upstreamCacheControl || "");
+    const upstreamMaxAge = match ? parseInt(match[1], 10) : 0;
+    return `public, max-age=${Math.max(upstreamMaxAge, nextImageMinimumCacheTTL)}, must-revalidate`;
+}
@@ -0,0 +1,124 @@
+import sharp from "sharp";
+
+/**
+ * Low-quality image placeholders (LQIP) for Next.js `placeholder="blur"`: a tiny base64 data URL
+ * usable as `blurDataURL`, a BlurHash string and the dominant colour, computed with sharp
+ * from a small thumbnail of the source.
+ */
+
+/** Longest side of the thumbnail fetched from imgproxy */
+export const PLACEHOLDER_SOURCE_SIZE = 64;
+/** Longest side of the `blurDataURL` image; the browser blurs it when scaling up (like Next.js' 8px) */
+const DATA_URL_SIZE = 10;
+/** BlurHash components (x, y) and the sampling size they are computed from */
+const BLURHASH_COMPONENTS_X = 4;
+const BLURHASH_COMPONENTS_Y = 3;
+const BLURHASH_SAMPLE_SIZE = 32;
+
+const BASE83_DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~";
+
+function encodeBase83(value, length) {
+    let result = "";
+    for (let i = 1; i <= length; i++) {
+        const digit = Math.floor(value / 83 ** (length - i)) % 83;
+        result += BASE83_DIGITS[digit];
+    }
+    return result;
+}
+
+function srgbToLinear(value) {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+function linearToSrgb(value) {
+    const v = Math.max(0, Math.min(1, value));
+    return Math.trunc(v <= 0.0031308 ? v * 12.92 * 255 + 0.5 : (1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function signPow(value, exp) {
+    return Math.sign(value) * Math.abs(value) ** exp;
+}
+
+/**
+ * BlurHash (https://blurha.sh) of raw RGB pixels.
+ * @param {Buffer} pixels - 3 channels, row-major
+ * @param {number} width
+ * @param {number} height
+ * @returns {string}
+ */
+export function encodeBlurHash(pixels, width, height, componentsX = BLURHASH_COMPONENTS_X, componentsY = BLURHASH_COMPONENTS_Y) {
+    const factors = [];
+    for (let j = 0; j < componentsY; j++) {
+        for (let i = 0; i < componentsX; i++) {
+            const normalisation = i === 0 && j === 0 ? 1 : 2;
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const basis = normalisation * Math.cos((Math.PI * i * x) / width) * Math.cos((Math.PI * j * y) / height);
+                    const offset = 3 * (x + y * width);
+                    r += basis * srgbToLinear(pixels[offset]);
+                    g += basis * srgbToLinear(pixels[offset + 1]);
+                    b += basis * srgbToLinear(pixels[offset + 2]);
+                }
+            }
+            const scale = 1 / (width * height);
+            factors.push([r * scale, g * scale, b * scale]);
+        }
+    }
+
+    const [dc, ...ac] = factors;
+    let hash = encodeBase83(componentsX - 1 + (componentsY - 1) * 9, 1);
+    let maximumValue = 1;
+    if (ac.length > 0) {
+        const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+        const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)));
+        maximumValue = (quantisedMaximum + 1) / 166;
+        hash += encodeBase83(quantisedMaximum, 1);
+    } else {
+        hash += encodeBase83(0, 1);
+    }
+    hash += encodeBase83((linearToSrgb(dc[0]) << 16) + (linearToSrgb(dc[1]) << 8) + linearToSrgb(dc[2]), 4);
+    for (const [r, g, b] of ac) {
+        const quantise = (v) => Math.max(0, Math.min(18, Math.floor(signPow(v / maximumValue, 0.5) * 9 + 9.5)));
+        hash += encodeBase83(quantise(r) * 19 * 19 + quantise(g) * 19 + quantise(b), 2);
+    }
+    return hash;
+}
+
+function toHexColor({ r, g, b }) {
+    return `#${[r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * Compute every placeholder representation of an image.
+ * @param {ArrayBuffer | Buffer} input - encoded image (a small thumbnail is enough)
+ * @returns {Promise<{ blurDataURL: string, blurhash: string, color: string, width: number, height: number }>}
+ *   width/height are those of the input, i.e. its aspect ratio
+ */
+export async function createPlaceholder(input) {
+    const image = sharp(Buffer.from(input));
+    const [{ width, height }, { dominant }, tiny, sample] = await Promise.all([
+        image.clone().metadata(),
+        image.clone().stats(),
+        image.clone()
+            .resize(DATA_URL_SIZE, DATA_URL_SIZE, { fit: "inside" })
+            .png()
+            .toBuffer(),
+        image.clone()
+            .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: "inside" })
+            .flatten({ background: "#ffffff" })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true }),
+    ]);
+    return {
+        blurDataURL: `data:image/png;base64,${tiny.toString("base64")}`,
+        blurhash: encodeBlurHash(sample.data, sample.info.width, sample.info.height),
+        color: toHexColor(dominant),
+        width,
+        height,
+    };
+}
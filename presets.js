@@ -0,0 +1,93 @@
+import { readFileSync } from "node:fs";
+import { parseTransformParams } from "./transform-params.js";
+
+/**
+ * Named transformation presets, addressable as `/image/preset:card/<url>` or `?preset=card`.
+ *
+ * PRESETS_FILE points at a JSON or YAML file mapping names to transform parameters:
+ *   { "thumb": { "width": 128, "height": 128, "quality": 70 }, "hero@2x": { "width": 2560 } }
+ * PRESETS_ONLY=true rejects /image/ requests that don't use a preset and disables /_next/image.
+ */
+
+const presetsFile = process?.env?.PRESETS_FILE?.trim() || "";
+export const presetsOnly = process?.env?.PRESETS_ONLY === "true";
+
+const PRESET_KEYS = new Set(["width", "height", "quality", "removeBg", "transparent", "fit", "gravity", "fp"]);
+const PRESET_NAME = /^[A-Za-z0-9_.@-]+$/;
+
+/**
+ * Load and validate presets with the same limits as query parameters. Throws on an invalid
+ * file so a broken config fails at startup rather than on the first request.
+ * @param {string} file
+ * @returns {Map<string, { width: number, height: number, quality: number, removeBg: boolean }>}
+ */
+export function loadPresets(file) {
+    const raw = readFileSync(file, "utf8");
+    const parsed = /\.ya?ml$/i.test(file) ? Bun.YAML.parse(raw) : JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error(`Presets file ${file} must contain an object of named presets`);
+    }
+    const presets = new Map();
+    for (const [name, options] of Object.entries(parsed)) {
+        if (!PRESET_NAME.test(name)) {
+            throw new Error(`Preset "${name}" in ${file}: names may only contain letters, digits, "_", ".", "@" and "-"`);
+        }
+        if (!options || typeof options !== "object") {
+            throw new Error(`Preset "${name}" in ${file} must be an object`);
+        }
+        const unknown = Object.keys(options).filter((key) => !PRESET_KEYS.has(key));
+        if (unknown.length > 0) {
+            throw new Error(`Preset "${name}" in ${file}: unknown option(s) ${unknown.join(", ")}`);
+        }
+        const searchParams = new URLSearchParams(Object.entries(options).map(([key, value]) => [key, String(value)]));
+        const result = parseTransformParams(searchParams);
+        if (result.errors) {
+            throw new Error(`Preset "${name}" in ${file}: ${result.errors.map((e) => `"${e.parameter}" ${e.message}`).join("; ")}`);
+        }
+        presets.set(name, result.params);
+    }
+    return presets;
+}
+
+const presets = presetsFile ? loadPresets(presetsFile) : new Map();
+if (presetsOnly && presets.size === 0) {
+    console.warn("PRESETS_ONLY is true but no presets are configured (PRESETS_FILE); every /image/ request will be rejected.");
+}
+
+/**
+ * Resolve the transform parameters of an /image/ request: from the preset if one is named,
+ * otherwise from the query string (unless PRESETS_ONLY is set).
+ * @param {string | null} presetName - from the path segment or `?preset=`
+ * @param {URLSearchParams} searchParams
+ * @returns {ReturnType<typeof parseTransformParams>}
+ */
+export function resolveTransformParams(presetName, searchParams) {
+    if (!presetName) {
+        if (presetsOnly) {
+            return {
+                errors: [{
+                    parameter: "preset",
+                    value: null,
+                    message: `is required; available presets: ${[...presets.keys()].join(", ") || "(none)"}`,
+                }],
+            };
+        }
+        return parseTransformParams(searchParams);
+    }
+    const preset = presets.get(presetName);
+    if (!preset) {
+        return { errors: [{ parameter: "preset", value: presetName, message: "must name a configured preset" }] };
+    }
+    // Presets are complete; mixing in ad-hoc sizes would defeat PRESETS_ONLY and fragment the cache
+    const overrides = [...PRESET_KEYS].filter((key) => searchParams.has(key));
+    if (overrides.length > 0) {
+        return {
+            errors: overrides.map((key) => ({
+                parameter: key,
+                value: searchParams.get(key),
+                message: "cannot be combined with a preset",
+            })),
+        };
+    }
+    return { params: { ...preset } };
+}
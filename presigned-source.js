@@ -0,0 +1,120 @@
+import { fetchSource, sourceFetchTimeoutSignal } from "./source-guard.js";
+
+/**
+ * Opt-in caching of AWS SigV4-presigned sources (S3, R2, …), which are otherwise never cached because
+ * every presigned URL for the same object differs. With PRESIGNED_SOURCE_CACHE=true derivatives are
+ * keyed by the URL without its signature and expiry parameters (host + path + remaining query) and
+ * the object's ETag, and every request is still verified before a cached derivative is served:
+ * an expired URL is rejected locally, and the signature is checked by asking the source for one byte
+ * (`Range: bytes=0-0`). A successful check is remembered for the same URL for up to
+ * PRESIGNED_SOURCE_VERIFY_TTL_SECONDS (never past its expiry).
+ */
+
+const AUTH_PARAMS = new Set([
+    "x-amz-algorithm",
+    "x-amz-credential",
+    "x-amz-date",
+    "x-amz-expires",
+    "x-amz-signedheaders",
+    "x-amz-signature",
+    "x-amz-security-token",
+]);
+const MAX_VERIFIED_ENTRIES = 10000;
+
+const cachingEnabled = process?.env?.PRESIGNED_SOURCE_CACHE?.trim().toLowerCase() === "true";
+const verifyTtlMs = (parseInt(process?.env?.PRESIGNED_SOURCE_VERIFY_TTL_SECONDS || "60") || 0) * 1000;
+
+// presigned URL -> { etag, expiresAt }
+const verified = new Map();
+
+export function presignedSourceCachingEnabled() {
+    return cachingEnabled;
+}
+
+function paramName(part) {
+    const eq = part.indexOf("=");
+    const name = eq >= 0 ? part.slice(0, eq) : part;
+    try {
+        return decodeURIComponent(name.replace(/\+/g, " ")).toLowerCase();
+    } catch {
+        return name.toLowerCase();
+    }
+}
+
+/**
+ * Stable identity of a presigned URL: the same URL without its signature and expiry parameters
+ * (remaining parameters keep their order and encoding).
+ * @param {string} src
+ * @returns {string}
+ */
+export function stablePresignedSourceUrl(src) {
+    const queryStart = src.indexOf("?");
+    if (queryStart < 0) return src;
+    const kept = src
+        .slice(queryStart + 1)
+        .split("&")
+        .filter((part) => part && !AUTH_PARAMS.has(paramName(part)));
+    return kept.length ? `${src.slice(0, queryStart)}?${kept.join("&")}` : src.slice(0, queryStart);
+}
+
+/**
+ * Expiry of a presigned URL from X-Amz-Date (e.g. 20260101T120000Z) + X-Amz-Expires, in ms.
+ * @param {URL} url
+ * @returns {number | null} null when the parameters are missing or malformed
+ */
+function presignedExpiry(url) {
+    let date = null;
+    let expires = null;
+    for (const [name, value] of url.searchParams) {
+        if (name.toLowerCase() === "x-amz-date") date = value;
+        if (name.toLowerCase() === "x-amz-expires") expires = value;
+    }
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(date || "");
+    if (!match || !/^\d+$/.test(expires || "")) return null;
+    const [, y, mo, d, h, mi, s] = match.map(Number);
+    return Date.UTC(y, mo - 1, d, h, mi, s) + Number(expires) * 1000;
+}
+
+/**
+ * Check that a presigned URL is unexpired and accepted by its source.
+ * @param {string} src - presigned source URL that passed the allowlist and SSRF checks
+ * @returns {Promise<{ ok: true, etag: string } | { ok: false, status: number, reason: string }>}
+ *   `etag` is "" when the source sends none; 504 when the source doesn't answer within
+ *   SOURCE_FETCH_TIMEOUT_MS, 502 when it can't be reached
+ */
+export async function verifyPresignedSource(src) {
+    const expiresAt = presignedExpiry(new URL(src));
+    if (expiresAt === null) {
+        return { ok: false, status: 403, reason: "Presigned URL is missing X-Amz-Date or X-Amz-Expires" };
+    }
+    if (expiresAt <= Date.now()) {
+        verified.delete(src);
+        return { ok: false, status: 403, reason: "Presigned URL has expired" };
+    }
+    const known = verified.get(src);
+    if (known && known.expiresAt > Date.now()) return { ok: true, etag: known.etag };
+
+    const signal = sourceFetchTimeoutSignal();
+    let response;
+    try {
+        response = await fetchSource(src, { headers: { "Range": "bytes=0-0" }, signal });
+        await response.arrayBuffer();
+    } catch {
+        if (signal.aborted) return { ok: false, status: 504, reason: "Presigned source did not respond in time" };
+        return { ok: false, status: 502, reason: "Presigned source could not be reached" };
+    }
+    if (response.status === 404) {
+        return { ok: false, status: 404, reason: "Source not found" };
+    }
+    if (response.status !== 200 && response.status !== 206) {
+        // 400/403 for a forged or otherwise invalid signature
+        return { ok: false, status: response.status >= 500 ? 502 : 403, reason: `Presigned URL was rejected by the source (${response.status})` };
+    }
+    const etag = (response.headers.get("ETag") || "").replace(/^W\//, "").replace(/"/g, "");
+    if (verifyTtlMs > 0) {
+        verified.delete(src);
+        verified.set(src, { etag, expiresAt: Math.min(expiresAt, Date.now() + verifyTtlMs) });
+        if (verified.size > MAX_VERIFIED_ENTRIES) verified.delete(verified.keys().next().value);
+    }
+    return { ok: true, etag };
+}
@@ -0,0 +1,89 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { describeLayout, parseTransformParams } from "./transform-params.js";
+
+/**
+ * Optional HMAC signing of public /image/ URLs, keyed like imgproxy URL signing
+ * (hex key + hex salt, base64url HMAC-SHA256). The signature covers the source URL and every
+ * transform parameter, plus an optional `expires` unix timestamp (seconds).
+ * Query params: `signature` and `expires`.
+ */
+
+/**
+ * Canonical string the signature is computed over. Defaults match resize(), so omitting a
+ * parameter signs the same value the server will use.
+ * @param {{ src: string, width?: string|number, height?: string|number, quality?: string|number, removeBg?: boolean, fit?: string, gravity?: string|null, expires?: string|number }} params
+ *   `gravity` is the imgproxy gravity as parsed by transform-params.js (e.g. "sm", "fp:0.5:0.3")
+ */
+export function publicUrlSignaturePayload({ src, width = 0, height = 0, quality = 75, removeBg = false, fit, gravity, expires = "" }) {
+    const parts = [src, width || 0, height || 0, quality || 75, removeBg ? "true" : "false", expires || ""];
+    // Layout is only part of the payload when non-default, so older signed URLs stay valid
+    const layout = describeLayout({ fit, gravity });
+    if (layout) parts.push(layout);
+    return parts.join("|");
+}
+
+/**
+ * @param {object} params - see publicUrlSignaturePayload()
+ * @param {string} keyHex
+ * @param {string} saltHex
+ * @returns {string} base64url signature
+ */
+export function signPublicImageUrl(params, keyHex, saltHex) {
+    const hmac = createHmac("sha256", Buffer.from(keyHex, "hex"));
+    hmac.update(Buffer.from(saltHex || "", "hex"));
+    hmac.update(publicUrlSignaturePayload(params));
+    return hmac.digest("base64url");
+}
+
+/**
+ * Verify the signature and expiry of an incoming request.
+ * @param {URL} requestUrl
+ * @param {object} params - parsed transform params (see publicUrlSignaturePayload())
+ * @param {string} keyHex
+ * @param {string} saltHex
+ * @param {number} [now] - unix seconds, for tests
+ * @returns {{ ok: true } | { ok: false, reason: string }}
+ */
+export function verifyPublicImageUrl(requestUrl, params, keyHex, saltHex, now = Math.floor(Date.now() / 1000)) {
+    const signature = requestUrl.searchParams.get("signature");
+    if (!signature) return { ok: false, reason: "Missing signature" };
+    const expires = requestUrl.searchParams.get("expires") || "";
+    if (expires && (!/^\d+$/.test(expires) || parseInt(expires, 10) < now)) {
+        return { ok: false, reason: "Signed URL expired" };
+    }
+    const expected = Buffer.from(signPublicImageUrl({ ...params, expires }, keyHex, saltHex));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+        return { ok: false, reason: "Invalid signature" };
+    }
+    return { ok: true };
+}
+
+/**
+ * Build a signed public URL, e.g. from a Next.js server component or at build time
+ * (the key must never reach the browser).
+ * @param {string} serviceUrl - base URL of this service, e.g. https://images.example.com
+ * @param {string} src - absolute source image URL, or `local:///{path}` for a local source
+ * @param {{ width?: number, height?: number, quality?: number, removeBg?: boolean, fit?: string, gravity?: string, fp?: string, expiresIn?: number }} options
+ *   `expiresIn` in seconds; omit for a URL that never expires
+ * @param {string} keyHex
+ * @param {string} saltHex
+ */
+export function buildSignedImageUrl(serviceUrl, src, options, keyHex, saltHex) {
+    const { width, height, quality, removeBg, fit, gravity, fp, expiresIn } = options || {};
+    const expires = expiresIn ? Math.floor(Date.now() / 1000) + expiresIn : "";
+    const query = new URLSearchParams();
+    if (width) query.set("width", String(width));
+    if (height) query.set("height", String(height));
+    if (quality) query.set("quality", String(quality));
+    if (removeBg) query.set("removeBg", "true");
+    if (fit) query.set("fit", fit);
+    if (gravity) query.set("gravity", gravity);
+    if (fp) query.set("fp", fp);
+    // Sign the canonical values the server will parse (e.g. gravity=north -> "no")
+    const parsed = parseTransformParams(query);
+    if (parsed.errors) throw new Error(parsed.errors.map((e) => `"${e.parameter}" ${e.message}`).join("; "));
+    if (expires) query.set("expires", String(expires));
+    query.set("signature", signPublicImageUrl({ src, ...parsed.params, expires }, keyHex, saltHex));
+    return `${serviceUrl.replace(/\/$/, "")}/image/${encodeURIComponent(src)}?${query.toString()}`;
+}
@@ -0,0 +1,81 @@
+import { isIP } from "node:net";
+
+/**
+ * In-memory token-bucket rate limits (per process, so each replica enforces its own budget).
+ * A bucket holds up to `perMinute` tokens and refills continuously at `perMinute / 60` per second,
+ * so a client can burst through a full minute's budget and then continue at the steady rate.
+ * Results map to the `RateLimit-Limit` / `RateLimit-Remaining` / `RateLimit-Reset` headers
+ * (IETF draft) and `Retry-After` on 429 responses.
+ */
+
+/**
+ * @param {{ perMinute: number, maxKeys?: number }} options - `perMinute` of 0 disables the limiter
+ */
+export function createRateLimiter({ perMinute, maxKeys = 100000 }) {
+    const ratePerSecond = perMinute / 60;
+    // key -> { tokens, updatedAt }; re-inserted on use, so the first entries are the least recently used
+    const buckets = new Map();
+
+    /**
+     * Take one token for `key`.
+     * @param {string} key
+     * @returns {{ allowed: boolean, limit: number, remaining: number, resetSeconds: number, retryAfterSeconds: number } | null}
+     *   null when the limiter is disabled
+     */
+    function take(key) {
+        if (perMinute <= 0) return null;
+        const now = Date.now();
+        const bucket = buckets.get(key) || { tokens: perMinute, updatedAt: now };
+        bucket.tokens = Math.min(perMinute, bucket.tokens + ((now - bucket.updatedAt) / 1000) * ratePerSecond);
+        bucket.updatedAt = now;
+        const allowed = bucket.tokens >= 1;
+        if (allowed) bucket.tokens -= 1;
+        buckets.delete(key);
+        buckets.set(key, bucket);
+        if (buckets.size > maxKeys) buckets.delete(buckets.keys().next().value);
+        return {
+            allowed,
+            limit: perMinute,
+            remaining: Math.floor(bucket.tokens),
+            resetSeconds: Math.ceil((perMinute - bucket.tokens) / ratePerSecond),
+            retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / ratePerSecond),
+        };
+    }
+
+    return { take };
+}
+
+/**
+ * @param {NonNullable<ReturnType<ReturnType<typeof createRateLimiter>["take"]>>} result
+ * @returns {Record<string, string>}
+ */
+export function rateLimitHeaders(result) {
+    const headers = {
+        "RateLimit-Limit": String(result.limit),
+        "RateLimit-Remaining": String(result.remaining),
+        "RateLimit-Reset": String(result.resetSeconds),
+    };
+    if (!result.allowed) headers["Retry-After"] = String(result.retryAfterSeconds);
+    return headers;
+}
+
+/**
+ * Client address for rate limiting. With `trustedProxyDepth` proxies in front of the service, each
+ * appending to `X-Forwarded-For`, the client is the entry added by the outermost trusted proxy;
+ * entries left of it are client-supplied and ignored. With 0 the header is ignored entirely.
+ * @param {Request} req
+ * @param {string | null | undefined} peerAddress - address of the TCP peer
+ * @param {number} trustedProxyDepth
+ * @returns {string}
+ */
+export function clientAddress(req, peerAddress, trustedProxyDepth) {
+    if (trustedProxyDepth > 0) {
+        const forwarded = (req.headers.get("x-forwarded-for") || "")
+            .split(",")
+            .map((entry) => entry.trim())
+            .filter(Boolean);
+        const candidate = forwarded[Math.max(0, forwarded.length - trustedProxyDepth)];
+        if (candidate && isIP(candidate)) return candidate;
+    }
+    return peerAddress || "unknown";
+}
@@ -0,0 +1,172 @@
+import { readFileSync } from "node:fs";
+
+/**
+ * Source URL allowlist and denylist shared by every route that fetches a remote image,
+ * mirroring Next.js `images.remotePatterns`:
+ *   { protocol?: "http" | "https", hostname: string, port?: string, pathname?: string, search?: string }
+ * `hostname`: `*` matches one subdomain label, `**` (leading only) one or more labels, so
+ * `**.example.com` matches `cdn.example.com` and `a.b.example.com` but not `evilexample.com`.
+ * `pathname`: `*` matches one path segment, `**` any number (default: any path).
+ * `port` / `search`: exact match when given ("" = none). A denied pattern always wins.
+ *
+ * Configured with REMOTE_PATTERNS / DENIED_REMOTE_PATTERNS (a JSON array, or comma-separated
+ * URL patterns such as `https://**.example.com/images/**`) and/or REMOTE_PATTERNS_FILE
+ * (JSON or YAML: `{ remotePatterns: [...], deniedPatterns: [...] }`).
+ * Without remote patterns the legacy ALLOWED_REMOTE_DOMAINS list applies (default `*`).
+ */
+
+const PATTERN_KEYS = new Set(["protocol", "hostname", "port", "pathname", "search"]);
+const URL_PATTERN = /^(?:(https?):\/\/)?([^/:?]+)(?::(\d*))?(\/[^?]*)?(\?.*)?$/i;
+
+function segmentMatches(pattern, value) {
+    if (pattern === "*") return value.length > 0;
+    if (!pattern.includes("*")) return pattern === value;
+    const source = pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(`^${source}$`).test(value);
+}
+
+// `**` matches at least `minDoubleStar` parts (1 for hostname labels, 0 for path segments)
+function partsMatch(pattern, value, minDoubleStar, i = 0, j = 0) {
+    if (i === pattern.length) return j === value.length;
+    if (pattern[i] === "**") {
+        for (let k = j + minDoubleStar; k <= value.length; k++) {
+            if (partsMatch(pattern, value, minDoubleStar, i + 1, k)) return true;
+        }
+        return false;
+    }
+    return j < value.length
+        && segmentMatches(pattern[i], value[j])
+        && partsMatch(pattern, value, minDoubleStar, i + 1, j + 1);
+}
+
+/**
+ * @param {{ protocol?: string, hostname: string, port?: string, pathname?: string, search?: string }} pattern
+ * @param {URL} url
+ */
+export function matchRemotePattern(pattern, url) {
+    if (pattern.protocol !== undefined && `${pattern.protocol}:` !== url.protocol) return false;
+    if (pattern.port !== undefined && pattern.port !== url.port) return false;
+    if (pattern.search !== undefined && pattern.search !== url.search) return false;
+    if (!partsMatch(pattern.hostname.split("."), url.hostname.split("."), 1)) return false;
+    if (pattern.pathname !== undefined && !partsMatch(pattern.pathname.split("/"), url.pathname.split("/"), 0)) return false;
+    return true;
+}
+
+/**
+ * Validate and normalize one pattern (object or `https://host:port/path?search` string).
+ * Throws with a description of the problem, so a bad config fails at startup.
+ */
+export function normalizeRemotePattern(raw) {
+    let pattern = raw;
+    if (typeof raw === "string") {
+        const match = URL_PATTERN.exec(raw.trim());
+        // The optional scheme would otherwise let "https://host:bad" parse as hostname "https"
+        if (!match || (raw.includes("://") && !match[1])) throw new Error(`Remote pattern "${raw}" is not a URL pattern like https://**.example.com/images/**`);
+        const [, protocol, hostname, port, pathname, search] = match;
+        pattern = { hostname };
+        if (protocol) pattern.protocol = protocol;
+        if (port !== undefined) pattern.port = port;
+        if (pathname) pattern.pathname = pathname;
+        if (search) pattern.search = search;
+    }
+    if (!pattern || typeof pattern !== "object") {
+        throw new Error(`Remote pattern ${JSON.stringify(raw)} must be an object or a URL pattern string`);
+    }
+    const unknown = Object.keys(pattern).filter((key) => !PATTERN_KEYS.has(key));
+    if (unknown.length > 0) throw new Error(`Remote pattern ${JSON.stringify(raw)}: unknown key(s) ${unknown.join(", ")}`);
+    if (typeof pattern.hostname !== "string" || !pattern.hostname) {
+        throw new Error(`Remote pattern ${JSON.stringify(raw)}: "hostname" is required`);
+    }
+    const hostname = pattern.hostname.toLowerCase();
+    if (hostname.split(".").slice(1).includes("**")) {
+        throw new Error(`Remote pattern ${JSON.stringify(raw)}: "**" is only allowed at the start of "hostname"`);
+    }
+    const protocol = pattern.protocol?.toLowerCase().replace(/:$/, "");
+    if (protocol !== undefined && protocol !== "http" && protocol !== "https") {
+        throw new Error(`Remote pattern ${JSON.stringify(raw)}: "protocol" must be http or https`);
+    }
+    const port = pattern.port === undefined ? undefined : String(pattern.port);
+    if (port !== undefined && !/^\d*$/.test(port)) {
+        throw new Error(`Remote pattern ${JSON.stringify(raw)}: "port" must be a number`);
+    }
+    if (pattern.pathname !== undefined && !String(pattern.pathname).startsWith("/")) {
+        throw new Error(`Remote pattern ${JSON.stringify(raw)}: "pathname" must start with "/"`);
+    }
+    const normalized = { hostname };
+    if (protocol !== undefined) normalized.protocol = protocol;
+    if (port !== undefined) normalized.port = port;
+    if (pattern.pathname !== undefined) normalized.pathname = String(pattern.pathname);
+    if (pattern.search !== undefined) normalized.search = String(pattern.search);
+    return normalized;
+}
+
+function parsePatternList(value, source) {
+    const trimmed = value?.trim();
+    if (!trimmed) return [];
+    let list;
+    try {
+        list = trimmed.startsWith("[") ? JSON.parse(trimmed) : trimmed.split(",").map((p) => p.trim()).filter(Boolean);
+    } catch (err) {
+        throw new Error(`${source} is not valid JSON: ${err.message}`);
+    }
+    if (!Array.isArray(list)) throw new Error(`${source} must be a list of patterns`);
+    return list.map(normalizeRemotePattern);
+}
+
+/**
+ * @param {string} file - JSON or YAML with `remotePatterns` and/or `deniedPatterns` lists
+ * @returns {{ remotePatterns: object[], deniedPatterns: object[] }}
+ */
+export function loadRemotePatternsFile(file) {
+    const raw = readFileSync(file, "utf8");
+    const parsed = /\.ya?ml$/i.test(file) ? Bun.YAML.parse(raw) : JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error(`Remote patterns file ${file} must contain an object with remotePatterns / deniedPatterns`);
+    }
+    const list = (key) => {
+        if (parsed[key] === undefined) return [];
+        if (!Array.isArray(parsed[key])) throw new Error(`${key} in ${file} must be a list`);
+        return parsed[key].map(normalizeRemotePattern);
+    };
+    return { remotePatterns: list("remotePatterns"), deniedPatterns: list("deniedPatterns") };
+}
+
+/**
+ * Legacy ALLOWED_REMOTE_DOMAINS entry: `*`, `example.com` or `*.example.com`
+ * (any subdomain depth plus the apex, as before, but no longer `evilexample.com`).
+ */
+function legacyDomainPatterns(domain) {
+    if (domain === "*") return [{ hostname: "**" }];
+    if (domain.startsWith("*.")) {
+        const apex = domain.slice(2).toLowerCase();
+        return [{ hostname: apex }, { hostname: `**.${apex}` }];
+    }
+    return [{ hostname: domain.toLowerCase() }];
+}
+
+const patternsFile = process?.env?.REMOTE_PATTERNS_FILE?.trim() || "";
+const fromFile = patternsFile ? loadRemotePatternsFile(patternsFile) : { remotePatterns: [], deniedPatterns: [] };
+const configuredPatterns = [...parsePatternList(process?.env?.REMOTE_PATTERNS, "REMOTE_PATTERNS"), ...fromFile.remotePatterns];
+const deniedPatterns = [...parsePatternList(process?.env?.DENIED_REMOTE_PATTERNS, "DENIED_REMOTE_PATTERNS"), ...fromFile.deniedPatterns];
+const allowedPatterns = configuredPatterns.length > 0
+    ? configuredPatterns
+    : (process?.env?.ALLOWED_REMOTE_DOMAINS?.split(",") || ["*"])
+        .map((d) => d.trim())
+        .filter(Boolean)
+        .flatMap(legacyDomainPatterns);
+
+/**
+ * @param {string | URL} src - absolute source URL
+ * @returns {boolean} true when an allow pattern matches and no denied pattern does
+ */
+export function isAllowedSourceUrl(src) {
+    let url;
+    try {
+        url = src instanceof URL ? src : new URL(src);
+    } catch {
+        return false;
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") return false;
+    if (deniedPatterns.some((pattern) => matchRemotePattern(pattern, url))) return false;
+    return allowedPatterns.some((pattern) => matchRemotePattern(pattern, url));
+}
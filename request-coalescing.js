@@ -0,0 +1,44 @@
+/**
+ * In-flight deduplication: concurrent callers with the same key share one execution of `fn`.
+ * Only the first caller (`shared: false`) triggers the work; the others await its result.
+ */
+export function createCoalescer() {
+    const inflight = new Map();
+
+    /**
+     * @template T
+     * @param {string} key
+     * @param {() => Promise<T>} fn
+     * @returns {Promise<{ value: T, shared: boolean }>}
+     */
+    async function run(key, fn) {
+        const existing = inflight.get(key);
+        if (existing) {
+            return { value: await existing, shared: true };
+        }
+        const promise = fn().finally(() => inflight.delete(key));
+        inflight.set(key, promise);
+        return { value: await promise, shared: false };
+    }
+
+    return { run, size: () => inflight.size };
+}
+
+/**
+ * Poll `read` until it returns a value or `timeoutMs` elapses. Used while another replica
+ * holds the render lock for a cache key.
+ * @template T
+ * @param {() => Promise<T | null>} read
+ * @param {number} timeoutMs
+ * @param {number} [intervalMs]
+ * @returns {Promise<T | null>}
+ */
+export async function waitForCacheEntry(read, timeoutMs, intervalMs = 100) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, intervalMs));
+        const entry = await read();
+        if (entry) return entry;
+    }
+    return null;
+}
@@ -0,0 +1,127 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+
+/**
+ * Per-request context for structured logging: a request ID (taken from or returned in
+ * `X-Request-Id`), phase timings for `Server-Timing` and fields for the one JSON log line
+ * written per request. Carried through async calls with AsyncLocalStorage, so deep helpers
+ * (cache reads, imgproxy calls) can record timings without threading the request around.
+ */
+
+const storage = new AsyncLocalStorage();
+
+// Accept caller-supplied IDs only when they are safe to echo and log
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * @param {Request} req
+ * @param {string | null} [clientIp] - client address (see clientAddress() in rate-limit.js)
+ * @returns {{ id: string, clientIp: string | null, startedAt: number, timings: Record<string, number>, fields: Record<string, unknown> }}
+ */
+export function createRequestContext(req, clientIp = null) {
+    const incoming = req.headers.get("x-request-id")?.trim();
+    return {
+        id: incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID(),
+        clientIp,
+        startedAt: performance.now(),
+        timings: {},
+        fields: {},
+    };
+}
+
+export function runWithRequestContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+/** @returns {string | null} ID of the request being handled, if any */
+export function currentRequestId() {
+    return storage.getStore()?.id ?? null;
+}
+
+/** @returns {string | null} client address of the request being handled, if any */
+export function currentClientIp() {
+    return storage.getStore()?.clientIp ?? null;
+}
+
+/**
+ * Time an async phase ("cache-read", "imgproxy", "sharp", "cache-write"); repeated phases add up.
+ * @template T
+ * @param {string} phase
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function timePhase(phase, fn) {
+    const context = storage.getStore();
+    if (!context) return fn();
+    const startedAt = performance.now();
+    try {
+        return await fn();
+    } finally {
+        context.timings[phase] = (context.timings[phase] || 0) + (performance.now() - startedAt);
+    }
+}
+
+/** Add fields (sourceHost, params, upstreamStatus, …) to the current request's log line. */
+export function annotateRequest(fields) {
+    const context = storage.getStore();
+    if (context) Object.assign(context.fields, fields);
+}
+
+/**
+ * @param {ReturnType<typeof createRequestContext>} context
+ * @returns {string} e.g. `cache-read;dur=0.4, imgproxy;dur=31.2, total;dur=33.0`
+ */
+export function serverTimingHeader(context) {
+    const total = performance.now() - context.startedAt;
+    return [...Object.entries(context.timings), ["total", total]]
+        .map(([phase, ms]) => `${phase};dur=${ms.toFixed(1)}`)
+        .join(", ");
+}
+
+function write(level, record) {
+    const line = JSON.stringify({ time: new Date().toISOString(), level, ...record });
+    if (level === "error") console.error(line);
+    else if (level === "warn") console.warn(line);
+    else console.log(line);
+}
+
+/**
+ * The one access-log line per request.
+ * @param {ReturnType<typeof createRequestContext>} context
+ * @param {Request} req
+ * @param {URL} url
+ * @param {Response} response
+ */
+export function logRequest(context, req, url, response) {
+    const durations = Object.fromEntries(
+        Object.entries(context.timings).map(([phase, ms]) => [phase, Number(ms.toFixed(1))])
+    );
+    durations.total = Number((performance.now() - context.startedAt).toFixed(1));
+    write(response.status >= 500 ? "error" : "info", {
+        msg: "request",
+        requestId: context.id,
+        clientIp: context.clientIp,
+        method: req.method,
+        path: url.pathname,
+        status: response.status,
+        cache: response.headers.get("X-Cache") || null,
+        ...context.fields,
+        durationsMs: durations,
+    });
+}
+
+/**
+ * Structured log line for errors and events outside the access log, tagged with the request ID.
+ * @param {"info" | "warn" | "error"} level
+ * @param {string} msg
+ * @param {unknown} [error]
+ * @param {Record<string, unknown>} [fields]
+ */
+export function logEvent(level, msg, error = null, fields = {}) {
+    const record = { msg, requestId: currentRequestId(), ...fields };
+    if (error) {
+        record.error = error instanceof Error ? error.message : String(error);
+        if (error instanceof Error && error.stack) record.stack = error.stack;
+    }
+    write(level, record);
+}
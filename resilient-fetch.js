@@ -0,0 +1,131 @@
+/**
+ * fetch() for imgproxy with a per-attempt timeout, bounded retries with jitter and a circuit breaker.
+ * Only failures that are safe to repeat are retried: network errors, timeouts and 502/503/504.
+ * Other responses (including 4xx for a missing source) are returned as-is and count as success.
+ *
+ * The breaker opens after `breakerThreshold` consecutive failed calls (after retries); while open,
+ * calls fail immediately with `err.code === "CIRCUIT_OPEN"`. After `breakerResetMs` one trial call
+ * is let through (half-open): success closes the breaker, failure re-opens it.
+ */
+
+const RETRYABLE_STATUSES = new Set([502, 503, 504]);
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {{ timeoutMs: number, retries: number, retryBaseMs: number, breakerThreshold: number, breakerResetMs: number }} options
+ *   `breakerThreshold` of 0 disables the breaker
+ */
+export function createResilientFetch({ timeoutMs, retries, retryBaseMs, breakerThreshold, breakerResetMs }) {
+    let state = "closed";
+    let consecutiveFailures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+    const counters = {
+        requests: 0,
+        retries: 0,
+        timeouts: 0,
+        failures: 0,
+        rejectedWhileOpen: 0,
+        breakerOpened: 0,
+    };
+
+    // Claim the right to make a call; false while the breaker is open
+    function admit() {
+        if (state === "closed") return true;
+        if (state === "open" && Date.now() - openedAt >= breakerResetMs) {
+            state = "half-open";
+        }
+        if (state === "half-open" && !trialInFlight) {
+            trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    function recordOutcome(ok) {
+        trialInFlight = false;
+        if (ok) {
+            consecutiveFailures = 0;
+            if (state !== "closed") console.log("imgproxy circuit breaker closed");
+            state = "closed";
+            return;
+        }
+        counters.failures++;
+        consecutiveFailures++;
+        if (breakerThreshold > 0 && (state === "half-open" || consecutiveFailures >= breakerThreshold)) {
+            if (state !== "open") {
+                counters.breakerOpened++;
+                console.warn(`imgproxy circuit breaker opened after ${consecutiveFailures} consecutive failures`);
+            }
+            state = "open";
+            openedAt = Date.now();
+        }
+    }
+
+    async function attempt(url, init) {
+        try {
+            return await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+        } catch (err) {
+            if (err?.name === "TimeoutError") {
+                counters.timeouts++;
+                const timeoutErr = new Error(`imgproxy request timed out after ${timeoutMs}ms`);
+                timeoutErr.code = "TIMEOUT";
+                throw timeoutErr;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * @param {string} url
+     * @param {RequestInit} [init]
+     * @returns {Promise<Response>} the last response; throws on network errors, timeouts and an open breaker
+     */
+    async function resilientFetch(url, init = {}) {
+        if (!admit()) {
+            counters.rejectedWhileOpen++;
+            const err = new Error("imgproxy circuit breaker is open");
+            err.code = "CIRCUIT_OPEN";
+            throw err;
+        }
+        counters.requests++;
+        for (let i = 0; ; i++) {
+            let response = null;
+            let error = null;
+            try {
+                response = await attempt(url, init);
+            } catch (err) {
+                error = err;
+            }
+            const failed = error || RETRYABLE_STATUSES.has(response.status);
+            if (!failed || i >= retries) {
+                recordOutcome(!failed);
+                if (error) throw error;
+                return response;
+            }
+            counters.retries++;
+            // Drain the failed body so the connection can be reused
+            await response?.arrayBuffer().catch(() => {});
+            // Full jitter: random delay up to base * 2^attempt
+            await sleep(Math.random() * retryBaseMs * 2 ** i);
+        }
+    }
+
+    function getStats() {
+        return {
+            breaker: state === "open" && Date.now() - openedAt >= breakerResetMs ? "half-open" : state,
+            consecutiveFailures,
+            timeoutMs,
+            maxRetries: retries,
+            ...counters,
+        };
+    }
+
+    return {
+        fetch: resilientFetch,
+        getStats,
+    };
+}
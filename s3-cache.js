@@ -0,0 +1,421 @@
+/**
+ * S3 cache backend (also S3-compatible storage, e.g. Tigris, R2, MinIO).
+ * Requires: S3_BUCKET, and AWS credentials (env or IAM).
+ * Optional: S3_REGION, S3_CACHE_PREFIX (default "cache"), S3_ENDPOINT (for S3-compatible storage e.g. Tigris)
+ *
+ * Source index (for purges): `<prefix>/.sources/<sha256(src)>/src` holds the source URL and
+ * `<prefix>/.sources/<sha256(src)>/<cacheKey>` is an empty marker per derivative.
+ */
+import { createHash } from "node:crypto";
+import {
+    S3Client,
+    GetObjectCommand,
+    PutObjectCommand,
+    ListObjectsV2Command,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+
+const s3Bucket = process?.env?.S3_BUCKET || "";
+const s3Region = process?.env?.S3_REGION || process?.env?.AWS_REGION || "us-east-1";
+const s3Prefix = (process?.env?.S3_CACHE_PREFIX || "cache").replace(/^\/|\/$/g, "");
+const s3Endpoint = process?.env?.S3_ENDPOINT?.trim() || null;
+const cacheLockTimeoutMs = parseInt(process?.env?.CACHE_LOCK_TIMEOUT_MS || "15000") || 15000;
+
+/**
+ * S3 client for AWS or, with an endpoint, S3-compatible storage (path-style addressing).
+ * Credentials come from the environment or IAM. Also used for s3:// sources (see s3-source.js).
+ * @param {string} region
+ * @param {string | null} endpoint
+ */
+export function createS3Client(region, endpoint) {
+    const config = { region };
+    if (endpoint) {
+        config.endpoint = endpoint;
+        config.forcePathStyle = true;
+    }
+    return new S3Client(config);
+}
+
+const s3 = createS3Client(s3Region, s3Endpoint);
+
+export function createS3Cache() {
+    if (!s3Bucket) {
+        console.warn("CACHE_BACKEND is s3 but S3_BUCKET is not set; cache will be no-op.");
+    }
+    return {
+        name: "s3",
+        location: `s3://${s3Bucket}/${s3Prefix || ""}`,
+        read: readFromCache,
+        readMetadata: readCacheMetadata,
+        write: writeToCache,
+        delete: deleteFromCache,
+        stats: getCacheStats,
+        list: listCacheKeys,
+        acquireLock: acquireRenderLock,
+        releaseLock: releaseRenderLock,
+        indexSource,
+        sourceKeys,
+        indexedSources,
+        dropSourceIndex,
+    };
+}
+
+function getS3Keys(key) {
+    const shard = key.length >= 2 ? key.substring(0, 2) : "00";
+    const base = s3Prefix ? `${s3Prefix}/${shard}/${key}` : `${shard}/${key}`;
+    return { imageKey: base, metaKey: `${base}.json` };
+}
+
+async function readFromCache(key) {
+    if (!s3Bucket) return null;
+    try {
+        const { imageKey, metaKey } = getS3Keys(key);
+        const [imageResp, metaResp] = await Promise.all([
+            s3.send(new GetObjectCommand({ Bucket: s3Bucket, Key: imageKey })),
+            s3.send(new GetObjectCommand({ Bucket: s3Bucket, Key: metaKey })),
+        ]);
+        const body = await imageResp.Body.transformToByteArray();
+        const metaRaw = await metaResp.Body.transformToString();
+        const meta = JSON.parse(metaRaw);
+        const headers = new Headers(meta.headers || []);
+        return {
+            body: new Uint8Array(body),
+            headers,
+            status: meta.status || 200,
+            statusText: meta.statusText || "OK",
+            isTransparent: meta.isTransparent === true,
+            tier: "s3",
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
+async function readCacheMetadata(key) {
+    if (!s3Bucket) return null;
+    try {
+        const { metaKey } = getS3Keys(key);
+        const metaResp = await s3.send(new GetObjectCommand({ Bucket: s3Bucket, Key: metaKey }));
+        const meta = JSON.parse(await metaResp.Body.transformToString());
+        return { ...meta, tier: "s3" };
+    } catch (err) {
+        return null;
+    }
+}
+
+async function writeToCache(key, data, headers, status, statusText, isTransparent = false) {
+    if (!s3Bucket) return false;
+    try {
+        const { imageKey, metaKey } = getS3Keys(key);
+        const serializedHeaders = Array.from(headers.entries()).filter(
+            ([name]) => name.toLowerCase() !== "x-cache"
+        );
+        const metadata = {
+            headers: serializedHeaders,
+            status,
+            statusText,
+            etag: headers.get("etag"),
+            lastModified: headers.get("last-modified"),
+            isTransparent,
+        };
+
+        const contentType = headers.get("content-type") || "image/webp";
+        await Promise.all([
+            s3.send(
+                new PutObjectCommand({
+                    Bucket: s3Bucket,
+                    Key: imageKey,
+                    Body: new Uint8Array(data),
+                    ContentType: contentType,
+                })
+            ),
+            s3.send(
+                new PutObjectCommand({
+                    Bucket: s3Bucket,
+                    Key: metaKey,
+                    Body: JSON.stringify(metadata),
+                    ContentType: "application/json",
+                    Metadata: {
+                        istransparent: isTransparent ? "true" : "false",
+                    },
+                })
+            ),
+        ]);
+        return true;
+    } catch (err) {
+        console.error("Failed to write S3 cache", err);
+        return false;
+    }
+}
+
+async function deleteFromCache(key) {
+    if (!s3Bucket) return false;
+    const { imageKey, metaKey } = getS3Keys(key);
+    const results = await Promise.allSettled([
+        s3.send(new DeleteObjectCommand({ Bucket: s3Bucket, Key: imageKey })),
+        s3.send(new DeleteObjectCommand({ Bucket: s3Bucket, Key: metaKey })),
+    ]);
+    return results.some((r) => r.status === "fulfilled");
+}
+
+async function* listObjectPages(prefix) {
+    let continuationToken;
+    do {
+        const resp = await s3.send(
+            new ListObjectsV2Command({
+                Bucket: s3Bucket,
+                Prefix: prefix,
+                ContinuationToken: continuationToken,
+            })
+        );
+        if (resp.Contents) yield resp.Contents.filter((o) => o.Key);
+        continuationToken = resp.NextContinuationToken;
+    } while (continuationToken);
+}
+
+// Page through every cache object under the prefix, skipping render locks and the source index
+async function* listCacheObjectPages() {
+    for await (const page of listObjectPages(s3Prefix ? `${s3Prefix}/` : "")) {
+        yield page.filter((o) => !isInternalKey(o.Key));
+    }
+}
+
+async function* listCacheKeys() {
+    if (!s3Bucket) return;
+    for await (const page of listCacheObjectPages()) {
+        for (const o of page) {
+            if (o.Key.endsWith(".json")) yield o.Key.split("/").pop().slice(0, -5);
+        }
+    }
+}
+
+function getS3LockKey(key) {
+    return s3Prefix ? `${s3Prefix}/.locks/${key}` : `.locks/${key}`;
+}
+
+function isInternalKey(objectKey) {
+    return /(^|\/)\.(locks|sources)\//.test(objectKey);
+}
+
+function getSourceIndexPrefix(src) {
+    const id = createHash("sha256").update(src).digest("hex");
+    return s3Prefix ? `${s3Prefix}/.sources/${id}/` : `.sources/${id}/`;
+}
+
+async function indexSource(src, key) {
+    if (!s3Bucket) return;
+    const indexPrefix = getSourceIndexPrefix(src);
+    try {
+        await Promise.all([
+            s3.send(new PutObjectCommand({ Bucket: s3Bucket, Key: `${indexPrefix}src`, Body: src, ContentType: "text/plain" })),
+            s3.send(new PutObjectCommand({ Bucket: s3Bucket, Key: `${indexPrefix}${key}`, Body: new Uint8Array(0) })),
+        ]);
+    } catch (err) {
+        console.error("Failed to update S3 source index", err);
+    }
+}
+
+async function sourceKeys(src) {
+    if (!s3Bucket) return [];
+    const indexPrefix = getSourceIndexPrefix(src);
+    const keys = [];
+    for await (const page of listObjectPages(indexPrefix)) {
+        for (const o of page) {
+            const name = o.Key.slice(indexPrefix.length);
+            if (name && name !== "src") keys.push(name);
+        }
+    }
+    return keys;
+}
+
+// Yield every indexed source URL starting with `prefix` (one GET per indexed source)
+async function* indexedSources(prefix = "") {
+    if (!s3Bucket) return;
+    const root = s3Prefix ? `${s3Prefix}/.sources/` : ".sources/";
+    for await (const page of listObjectPages(root)) {
+        for (const o of page) {
+            if (!o.Key.endsWith("/src")) continue;
+            try {
+                const resp = await s3.send(new GetObjectCommand({ Bucket: s3Bucket, Key: o.Key }));
+                const src = await resp.Body.transformToString();
+                if (src.startsWith(prefix)) yield src;
+            } catch {
+                // Index entry removed while listing - skip
+            }
+        }
+    }
+}
+
+async function dropSourceIndex(src) {
+    if (!s3Bucket) return;
+    for await (const page of listObjectPages(getSourceIndexPrefix(src))) {
+        await Promise.all(
+            page.map((o) => s3.send(new DeleteObjectCommand({ Bucket: s3Bucket, Key: o.Key })).catch(() => {}))
+        );
+    }
+}
+
+// Conditional put (If-None-Match: *) so only one replica creates the lock object.
+// Returns false only if another replica currently holds the lock for this key.
+async function acquireRenderLock(key) {
+    const lockKey = getS3LockKey(key);
+    const putLock = () =>
+        s3.send(
+            new PutObjectCommand({
+                Bucket: s3Bucket,
+                Key: lockKey,
+                Body: String(Date.now()),
+                IfNoneMatch: "*",
+            })
+        );
+    try {
+        await putLock();
+        return true;
+    } catch (err) {
+        const status = err?.$metadata?.httpStatusCode;
+        if (status !== 412 && status !== 409) {
+            console.warn("Failed to create S3 render lock, rendering without it:", err.message);
+            return true;
+        }
+    }
+    try {
+        // Take over locks left behind by a crashed replica
+        const head = await s3.send(new HeadObjectCommand({ Bucket: s3Bucket, Key: lockKey }));
+        if (Date.now() - new Date(head.LastModified).getTime() < cacheLockTimeoutMs) return false;
+        await s3.send(new DeleteObjectCommand({ Bucket: s3Bucket, Key: lockKey }));
+        await putLock();
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function releaseRenderLock(key) {
+    await s3.send(new DeleteObjectCommand({ Bucket: s3Bucket, Key: getS3LockKey(key) })).catch(() => {});
+}
+
+async function getCacheStats() {
+    if (!s3Bucket) {
+        return {
+            cacheEnabled: true,
+            cacheBackend: "s3",
+            error: "S3_BUCKET not set",
+            cacheDir: null,
+            entries: 0,
+            imageMB: 0,
+            metadataMB: 0,
+            totalMB: 0,
+            normalImages: { count: 0, sizeMB: 0 },
+            transparentImages: { count: 0, sizeMB: 0 },
+            uncategorizedImages: { count: 0, sizeMB: 0 },
+        };
+    }
+
+    const list = [];
+    for await (const page of listCacheObjectPages()) {
+        list.push(...page);
+    }
+
+    const imageEntries = list.filter((o) => o.Key && !o.Key.endsWith(".json"));
+    const metaEntries = list.filter((o) => o.Key && o.Key.endsWith(".json"));
+    const imageByKey = new Map(imageEntries.map((o) => [o.Key, o.Size || 0]));
+    const metaByKey = new Map(metaEntries.map((o) => [o.Key, o.Size || 0]));
+
+    let normalCount = 0,
+        normalBytes = 0,
+        transparentCount = 0,
+        transparentBytes = 0;
+    const HEAD_BATCH = 50;
+    for (let i = 0; i < metaEntries.length; i += HEAD_BATCH) {
+        const batch = metaEntries.slice(i, i + HEAD_BATCH);
+        const heads = await Promise.all(
+            batch.map((o) =>
+                s3.send(
+                    new HeadObjectCommand({ Bucket: s3Bucket, Key: o.Key })
+                ).catch(() => null)
+            )
+        );
+        for (let j = 0; j < batch.length; j++) {
+            const metaKey = batch[j].Key;
+            const imageKey = metaKey.replace(/\.json$/, "");
+            const imageSize = imageByKey.get(imageKey) || 0;
+            const head = heads[j];
+            const isTransparent =
+                head?.Metadata?.istransparent === "true";
+            if (isTransparent) {
+                transparentCount++;
+                transparentBytes += imageSize;
+            } else {
+                normalCount++;
+                normalBytes += imageSize;
+            }
+        }
+    }
+
+    const metadataBytes = metaEntries.reduce((s, o) => s + (o.Size || 0), 0);
+    const imageBytes = imageEntries.reduce((s, o) => s + (o.Size || 0), 0);
+    const totalCount = imageEntries.length;
+    const dirCounts = new Map();
+    for (const o of list) {
+        if (!o.Key || o.Key.endsWith(".json")) continue;
+        const parts = o.Key.split("/");
+        const shard = parts.length >= 2 ? parts[parts.length - 2] : "(root)";
+        dirCounts.set(shard, (dirCounts.get(shard) || 0) + 1);
+    }
+    const shardedCounts = [...dirCounts.entries()].filter(([k]) => k !== "(root)" && /^[0-9a-f]{2}$/i.test(k));
+    const counts = shardedCounts.map(([, c]) => c);
+
+    function toMB(bytes) {
+        return Number((bytes / (1024 * 1024)).toFixed(2));
+    }
+    function median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0
+            ? Number(((sorted[mid - 1] + sorted[mid]) / 2).toFixed(2))
+            : sorted[mid];
+    }
+
+    const distribution = {
+        totalSubdirectories: shardedCounts.length,
+        emptySubdirectories: Math.max(0, 256 - shardedCounts.length),
+        minFilesPerDir: counts.length > 0 ? Math.min(...counts) : 0,
+        maxFilesPerDir: counts.length > 0 ? Math.max(...counts) : 0,
+        avgFilesPerDir: counts.length > 0 ? Number((counts.reduce((a, b) => a + b, 0) / counts.length).toFixed(2)) : 0,
+        medianFilesPerDir: median(counts),
+    };
+
+    const sortedDirs = shardedCounts.sort((a, b) => b[1] - a[1]);
+    const topDirectories = sortedDirs.slice(0, 10).map(([name, count]) => ({
+        subdirectory: name,
+        count,
+        sizeMB: toMB(0),
+        normalCount: 0,
+        transparentCount: 0,
+    }));
+    const bottomDirectories = sortedDirs.slice(-10).reverse().map(([name, count]) => ({
+        subdirectory: name,
+        count,
+        sizeMB: toMB(0),
+        normalCount: 0,
+        transparentCount: 0,
+    }));
+
+    return {
+        cacheEnabled: true,
+        cacheBackend: "s3",
+        cacheDir: `s3://${s3Bucket}/${s3Prefix || ""}`,
+        entries: totalCount,
+        imageMB: toMB(imageBytes),
+        metadataMB: toMB(metadataBytes),
+        totalMB: toMB(imageBytes + metadataBytes),
+        normalImages: { count: normalCount, sizeMB: toMB(normalBytes) },
+        transparentImages: { count: transparentCount, sizeMB: toMB(transparentBytes) },
+        uncategorizedImages: { count: 0, sizeMB: 0 },
+        distribution,
+        topDirectories,
+        bottomDirectories,
+    };
+}
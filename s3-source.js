@@ -0,0 +1,119 @@
+import { GetObjectCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { createS3Client } from "./s3-cache.js";
+
+/**
+ * Private S3 objects as image sources: /image/s3://{bucket}/{key}, fetched with the service's own
+ * credentials instead of presigned URLs. Only buckets listed in S3_SOURCE_BUCKETS are readable.
+ * S3_SOURCE_REGION / S3_SOURCE_ENDPOINT default to the cache's S3_REGION / S3_ENDPOINT.
+ *
+ * Cache keys use the object's ETag (see the `version` of checkSourceAccess() in index.js), looked up
+ * with HeadObject and remembered for S3_SOURCE_METADATA_TTL_SECONDS, so a replaced object gets new
+ * derivatives within that time without a HeadObject on every cache hit.
+ * imgproxy gets a short-lived presigned GetObject URL signed with the same credentials (see
+ * presignS3Source()), so it needs no S3 configuration of its own.
+ */
+
+export const S3_SOURCE_PREFIX = "s3://";
+
+const sourceBuckets = new Set(
+    (process?.env?.S3_SOURCE_BUCKETS || "").split(",").map((b) => b.trim()).filter(Boolean)
+);
+const metadataTtlMs = (parseInt(process?.env?.S3_SOURCE_METADATA_TTL_SECONDS || "60") || 0) * 1000;
+const MAX_METADATA_ENTRIES = 10000;
+// Only has to outlive one imgproxy request
+const PRESIGNED_URL_EXPIRY_SECONDS = 300;
+
+const client = createS3Client(
+    process?.env?.S3_SOURCE_REGION || process?.env?.S3_REGION || process?.env?.AWS_REGION || "us-east-1",
+    process?.env?.S3_SOURCE_ENDPOINT?.trim() || process?.env?.S3_ENDPOINT?.trim() || null
+);
+
+// src -> { metadata, expiresAt }
+const metadataCache = new Map();
+
+/** @param {string} src */
+export function isS3Source(src) {
+    return src.startsWith(S3_SOURCE_PREFIX);
+}
+
+/**
+ * @param {string} src - `s3://{bucket}/{key}`
+ * @returns {{ bucket: string, key: string } | null}
+ */
+export function parseS3Source(src) {
+    if (!isS3Source(src)) return null;
+    const rest = src.slice(S3_SOURCE_PREFIX.length);
+    const slash = rest.indexOf("/");
+    if (slash <= 0 || slash === rest.length - 1) return null;
+    return { bucket: rest.slice(0, slash), key: rest.slice(slash + 1) };
+}
+
+/** @param {{ bucket: string }} object */
+export function isAllowedS3Bucket({ bucket }) {
+    return sourceBuckets.has(bucket);
+}
+
+function isNotFound(err) {
+    return err?.name === "NotFound" || err?.name === "NoSuchKey" || err?.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * @param {string} src - `s3://{bucket}/{key}` in an allowed bucket
+ * @returns {Promise<{ etag: string, contentType: string | null, size: number } | null>} null when the
+ *   object does not exist; other S3 errors are thrown
+ */
+export async function headS3Source(src) {
+    const cached = metadataCache.get(src);
+    if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+    const { bucket, key } = parseS3Source(src);
+    let metadata;
+    try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        metadata = { etag: (head.ETag || "").replace(/"/g, ""), contentType: head.ContentType || null, size: head.ContentLength || 0 };
+    } catch (err) {
+        if (!isNotFound(err)) throw err;
+        metadata = null;
+    }
+    if (metadataTtlMs > 0) {
+        metadataCache.delete(src);
+        metadataCache.set(src, { metadata, expiresAt: Date.now() + metadataTtlMs });
+        if (metadataCache.size > MAX_METADATA_ENTRIES) metadataCache.delete(metadataCache.keys().next().value);
+    }
+    return metadata;
+}
+
+/**
+ * Read an S3 source as a fetch()-like (streamed) response, so the sharp engine and /info/ can treat
+ * it like a remote original.
+ * @param {string} src - `s3://{bucket}/{key}` in an allowed bucket
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Response>} 404 when the object does not exist
+ */
+export async function readS3Source(src, { signal } = {}) {
+    const { bucket, key } = parseS3Source(src);
+    try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }), { abortSignal: signal });
+        const headers = new Headers();
+        if (object.ContentType) headers.set("Content-Type", object.ContentType);
+        if (object.ContentLength !== undefined) headers.set("Content-Length", String(object.ContentLength));
+        if (object.CacheControl) headers.set("Cache-Control", object.CacheControl);
+        if (object.LastModified) headers.set("Last-Modified", object.LastModified.toUTCString());
+        return new Response(object.Body.transformToWebStream(), { headers });
+    } catch (err) {
+        if (isNotFound(err)) return new Response("S3 source not found", { status: 404 });
+        throw err;
+    }
+}
+
+/**
+ * Presigned GetObject URL for handing an S3 source to imgproxy.
+ * @param {string} src - `s3://{bucket}/{key}` in an allowed bucket
+ * @returns {Promise<string>}
+ */
+export async function presignS3Source(src) {
+    const { bucket, key } = parseS3Source(src);
+    return await getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+        expiresIn: PRESIGNED_URL_EXPIRY_SECONDS,
+    });
+}
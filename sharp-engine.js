@@ -0,0 +1,152 @@
+import sharp from "sharp";
+import { fetchSourceBuffered } from "./source-guard.js";
+
+/**
+ * Local processing engine on top of sharp, used instead of imgproxy with ENGINE=sharp and as the
+ * fallback with ENGINE=auto (see engine-selector.js). Implements the same operations as the
+ * imgproxy path built in renderDerivative(): fit modes, gravity / focal point, quality, format
+ * conversion and the white-background trim. Like imgproxy, images are auto-rotated by their
+ * EXIF orientation and not enlarged beyond their intrinsic size (except to pad or cover the box).
+ */
+
+/** imgproxy's default Cache-Control (IMGPROXY_TTL), so responses look the same from either engine */
+const CACHE_CONTROL = "max-age=31536000, public";
+
+const CONTENT_TYPES = {
+    avif: "image/avif",
+    webp: "image/webp",
+    png: "image/png",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+};
+// Formats whose encoder takes a quality; PNG's would switch to a lossy palette
+const LOSSY_FORMATS = new Set(["avif", "webp", "jpeg"]);
+
+/** imgproxy gravity type -> sharp position */
+const SHARP_POSITIONS = {
+    no: "north",
+    so: "south",
+    ea: "east",
+    we: "west",
+    noea: "northeast",
+    nowe: "northwest",
+    soea: "southeast",
+    sowe: "southwest",
+};
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// Offsets that place an image inside padding according to a gravity (imgproxy `extend:1:<gravity>`)
+function padOffsets(gravity, padX, padY) {
+    const g = gravity || "ce";
+    const left = g.endsWith("we") ? 0 : g.endsWith("ea") ? padX : Math.floor(padX / 2);
+    const top = g.startsWith("no") ? 0 : g.startsWith("so") ? padY : Math.floor(padY / 2);
+    return { left, top };
+}
+
+// Fit inside width x height without enlarging, then pad with transparency to exactly that size
+async function fitAndPad(image, width, height, gravity) {
+    const { data, info } = await image
+        .resize(width, height, { fit: "inside", withoutEnlargement: true })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const padX = Math.max(0, width - info.width);
+    const padY = Math.max(0, height - info.height);
+    const { left, top } = padOffsets(gravity, padX, padY);
+    return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .extend({ left, right: padX - left, top, bottom: padY - top, background: TRANSPARENT });
+}
+
+// Cover crop centred on a focal point ("fp:x:y", fractions of the image)
+function focalPointCrop(image, sourceWidth, sourceHeight, width, height, gravity) {
+    const [fx, fy] = gravity.slice(3).split(":").map(Number);
+    const scale = Math.min(1, Math.max(width / sourceWidth, height / sourceHeight));
+    const scaledWidth = Math.max(1, Math.round(sourceWidth * scale));
+    const scaledHeight = Math.max(1, Math.round(sourceHeight * scale));
+    const cropWidth = Math.min(width, scaledWidth);
+    const cropHeight = Math.min(height, scaledHeight);
+    const clamp = (value, max) => Math.max(0, Math.min(max, value));
+    return image.resize(scaledWidth, scaledHeight).extract({
+        left: clamp(Math.round(fx * scaledWidth - cropWidth / 2), scaledWidth - cropWidth),
+        top: clamp(Math.round(fy * scaledHeight - cropHeight / 2), scaledHeight - cropHeight),
+        width: cropWidth,
+        height: cropHeight,
+    });
+}
+
+async function applyLayout(image, metadata, { width, height, fit, gravity }) {
+    if (!width && !height) return image;
+    const w = width || null;
+    const h = height || null;
+    switch (fit) {
+        case "contain":
+            return w && h ? fitAndPad(image, w, h, gravity) : image.resize(w, h, { fit: "inside", withoutEnlargement: true });
+        case "inside":
+            return image.resize(w, h, { fit: "inside", withoutEnlargement: true });
+        case "outside":
+            return image.resize(w, h, { fit: "outside", withoutEnlargement: true });
+        case "fill":
+            return image.resize(w, h, { fit: "fill" });
+        default: {
+            if (gravity?.startsWith("fp:") && w && h) {
+                // EXIF orientations 5–8 swap the dimensions once rotate() has been applied
+                const transposed = (metadata.orientation || 1) >= 5;
+                const sourceWidth = transposed ? metadata.height : metadata.width;
+                const sourceHeight = transposed ? metadata.width : metadata.height;
+                return focalPointCrop(image, sourceWidth, sourceHeight, w, h, gravity);
+            }
+            const position = gravity === "sm" ? sharp.strategy.attention : SHARP_POSITIONS[gravity] || "centre";
+            return image.resize(w, h, { fit: "cover", position, withoutEnlargement: true });
+        }
+    }
+}
+
+// Trim the white border (imgproxy `trim:<threshold>:FFFFFF`), then fit and pad to the box
+async function removeWhiteBackground(input, box, whiteBackgroundThreshold) {
+    const threshold = Math.max(1, 255 - whiteBackgroundThreshold);
+    let trimmed;
+    try {
+        trimmed = await sharp(input)
+            .rotate()
+            .trim({ background: "#FFFFFF", threshold })
+            .png()
+            .toBuffer();
+    } catch {
+        // Nothing to trim (e.g. a blank image); keep the whole image
+        trimmed = await sharp(input).rotate().png().toBuffer();
+    }
+    return fitAndPad(sharp(trimmed), box.width, box.height, null);
+}
+
+/**
+ * Render a derivative with sharp. Resolves to a fetch-style Response like the imgproxy request
+ * it replaces; a failed source fetch is passed through with its status.
+ * @param {{
+ *   src: string, width: number, height: number, quality: number, removeBg: boolean,
+ *   fit: string, gravity: string | null, format: string | null,
+ *   box?: { width: number, height: number }, whiteBackgroundThreshold?: number
+ * }} options - `format` null keeps the source format; `box` is the removeBg output size
+ * @returns {Promise<Response>}
+ */
+export async function renderWithSharp({ src, width, height, quality, removeBg, fit, gravity, format, box, whiteBackgroundThreshold = 253 }) {
+    const original = await fetchSourceBuffered(src, { headers: { "Accept": "image/*" } });
+    if (!original.ok) return original;
+    const input = Buffer.from(await original.arrayBuffer());
+    const metadata = await sharp(input).metadata();
+    const outputFormat = format || (CONTENT_TYPES[metadata.format] ? metadata.format : "jpeg");
+
+    const image = removeBg
+        ? await removeWhiteBackground(input, box, whiteBackgroundThreshold)
+        : await applyLayout(sharp(input).rotate(), metadata, { width, height, fit, gravity });
+    const body = await image
+        .toFormat(outputFormat, LOSSY_FORMATS.has(outputFormat) ? { quality } : {})
+        .toBuffer();
+    return new Response(body, {
+        status: 200,
+        headers: {
+            "Content-Type": CONTENT_TYPES[outputFormat],
+            "Cache-Control": CACHE_CONTROL,
+        },
+    });
+}
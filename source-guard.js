@@ -0,0 +1,248 @@
+import { BlockList, isIP } from "node:net";
+import { lookup } from "node:dns/promises";
+import { isLocalSource, readLocalSource } from "./local-source.js";
+import { isS3Source, readS3Source } from "./s3-source.js";
+
+/**
+ * SSRF protection for source URLs: only http(s) without credentials, and the host must not resolve
+ * to a loopback, link-local (including the 169.254.169.254 metadata service), private, shared,
+ * multicast or reserved address. TRUSTED_SOURCE_ORIGINS opts internal origins out of the address
+ * check (e.g. `http://minio:9000` or a bare hostname). SSRF_PROTECTION=false disables the address check.
+ * The scheme check runs on every request; the address check needs a DNS lookup, so it runs only
+ * before a source is fetched (cache misses).
+ *
+ * The host is resolved again when it is fetched, so this does not stop DNS rebinding on its own;
+ * imgproxy's IMGPROXY_ALLOW_*_SOURCE_ADDRESSES settings cover the address imgproxy actually connects to.
+ *
+ * Originals read into memory (sharp engine, /info/) are limited to SOURCE_MAX_MB and must arrive
+ * within SOURCE_FETCH_TIMEOUT_MS, see fetchSourceBuffered().
+ */
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const blockedAddresses = new BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8], // "this" network
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10], // carrier-grade NAT (also Alibaba Cloud metadata)
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16], // link-local, cloud metadata services
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["224.0.0.0", 4], // multicast
+    ["240.0.0.0", 4], // reserved and broadcast
+]) {
+    blockedAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+    ["::", 128],
+    ["::1", 128],
+    ["64:ff9b:1::", 48], // local-use NAT64
+    ["fc00::", 7], // unique local, including AWS metadata fd00:ec2::254
+    ["fe80::", 10],
+    ["ff00::", 8],
+]) {
+    blockedAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+const fetchTimeoutMs = parseInt(process?.env?.SOURCE_FETCH_TIMEOUT_MS || "30000") || 30000;
+// 0 = unlimited
+const maxSourceBytes = Math.round(parseFloat(process?.env?.SOURCE_MAX_MB || "50") * 1024 * 1024) || 0;
+
+const protectionEnabled = process?.env?.SSRF_PROTECTION?.trim().toLowerCase() !== "false";
+const trustedOrigins = new Set();
+const trustedHostnames = new Set();
+for (const entry of (process?.env?.TRUSTED_SOURCE_ORIGINS || "").split(",").map((e) => e.trim()).filter(Boolean)) {
+    if (entry.includes("://")) trustedOrigins.add(new URL(entry).origin);
+    else trustedHostnames.add(entry.toLowerCase());
+}
+
+// The eight 16-bit groups of an IPv6 literal ("::" expanded, a trailing dotted IPv4 split in two)
+function ipv6Groups(address) {
+    let text = address;
+    const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.split("::");
+    const parse = (part) => (part ? part.split(":").map((group) => parseInt(group, 16)) : []);
+    const headGroups = parse(head);
+    const tailGroups = parse(tail);
+    return [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+}
+
+// IPv4 address embedded in a NAT64 (64:ff9b::/96) or 6to4 (2002::/16) address, else null
+function embeddedIPv4(address) {
+    const groups = ipv6Groups(address);
+    const ipv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join(".");
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((group) => group === 0)) {
+        return ipv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x2002) return ipv4(groups[1], groups[2]);
+    return null;
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 literal (IPv4-mapped, NAT64 and 6to4 addresses are also
+ *   checked by the IPv4 address they embed)
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+    const family = isIP(address);
+    if (family === 0) return true;
+    if (family === 4) return blockedAddresses.check(address, "ipv4");
+    // Without a zone ID (fe80::1%eth0), which BlockList doesn't understand
+    const ipv6 = address.split("%")[0];
+    if (blockedAddresses.check(ipv6, "ipv6")) return true;
+    const ipv4 = embeddedIPv4(ipv6);
+    return ipv4 !== null && blockedAddresses.check(ipv4, "ipv4");
+}
+
+function isTrusted(url) {
+    return trustedOrigins.has(url.origin) || trustedHostnames.has(url.hostname);
+}
+
+function parseSourceUrl(src) {
+    try {
+        return src instanceof URL ? src : new URL(src);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Scheme and credentials check, without any network access.
+ * @param {string | URL} src - absolute source URL
+ * @returns {{ ok: true } | { ok: false, status: number, reason: string }}
+ */
+export function checkSourceScheme(src) {
+    const url = parseSourceUrl(src);
+    if (!url) return { ok: false, status: 400, reason: `Invalid URL: ${src}` };
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+        return { ok: false, status: 400, reason: "Only http and https source URLs are allowed" };
+    }
+    if (url.username || url.password) {
+        return { ok: false, status: 400, reason: "Credentials in source URLs are not allowed" };
+    }
+    return { ok: true };
+}
+
+/**
+ * Address check: resolves the host (DNS), so run it only before the source is actually fetched.
+ * @param {string | URL} src - absolute source URL that passed checkSourceScheme()
+ * @returns {Promise<{ ok: true } | { ok: false, status: number, reason: string }>}
+ */
+export async function checkSourceAddress(src) {
+    const url = parseSourceUrl(src);
+    if (!url) return { ok: false, status: 400, reason: `Invalid URL: ${src}` };
+    if (!protectionEnabled || isTrusted(url)) return { ok: true };
+
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, "$1");
+    let addresses;
+    try {
+        addresses = isIP(hostname) ? [hostname] : (await lookup(hostname, { all: true })).map((a) => a.address);
+    } catch {
+        return { ok: false, status: 400, reason: `Source host (${hostname}) could not be resolved` };
+    }
+    // Every address must be public: the fetch may connect to any of them
+    if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+        return { ok: false, status: 403, reason: `Source host (${hostname}) resolves to a private or reserved address` };
+    }
+    return { ok: true };
+}
+
+/**
+ * checkSourceScheme() and checkSourceAddress() together.
+ * @param {string | URL} src - absolute source URL
+ * @returns {Promise<{ ok: true } | { ok: false, status: number, reason: string }>}
+ */
+export async function checkSourceUrl(src) {
+    const scheme = checkSourceScheme(src);
+    if (!scheme.ok) return scheme;
+    return await checkSourceAddress(src);
+}
+
+/**
+ * fetch() for source images that applies checkSourceUrl() to every redirect target.
+ * A blocked redirect or a redirect loop becomes an error response instead of a thrown error.
+ * `local:///` and `s3://` sources are read directly (see local-source.js, s3-source.js).
+ * @param {string} src - a source that already passed the route's checks (checkSourceUrl() for http(s))
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+export async function fetchSource(src, init = {}) {
+    if (isLocalSource(src)) return readLocalSource(src);
+    if (isS3Source(src)) return readS3Source(src, { signal: init.signal });
+    let url = src;
+    for (let redirects = 0; ; redirects++) {
+        const response = await fetch(url, { ...init, redirect: "manual" });
+        const location = response.headers.get("Location");
+        if (!REDIRECT_STATUSES.has(response.status) || !location) return response;
+        await response.arrayBuffer().catch(() => {});
+        if (redirects >= MAX_REDIRECTS) {
+            return new Response(`Source redirected more than ${MAX_REDIRECTS} times`, { status: 502 });
+        }
+        url = new URL(location, url).href;
+        const check = await checkSourceUrl(url);
+        if (!check.ok) {
+            return new Response(`Redirect blocked: ${check.reason}`, { status: check.status });
+        }
+    }
+}
+
+/**
+ * Abort signal for one source fetch, fired after SOURCE_FETCH_TIMEOUT_MS.
+ * @returns {AbortSignal}
+ */
+export function sourceFetchTimeoutSignal() {
+    return AbortSignal.timeout(fetchTimeoutMs);
+}
+
+/**
+ * fetchSource() that reads the whole body, within SOURCE_FETCH_TIMEOUT_MS and SOURCE_MAX_MB.
+ * @param {string} src - see fetchSource()
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>} the source's response with its body buffered, the source's own error
+ *   response, 413 when the original is too large or 504 when it doesn't arrive in time
+ */
+export async function fetchSourceBuffered(src, init = {}) {
+    const signal = sourceFetchTimeoutSignal();
+    try {
+        const response = await fetchSource(src, { ...init, signal });
+        if (!response.ok) return response;
+        const body = await readLimitedBody(response, maxSourceBytes);
+        if (!body) return new Response(`Source is larger than ${maxSourceBytes} bytes`, { status: 413 });
+        return new Response(body, { headers: response.headers, status: response.status, statusText: response.statusText });
+    } catch (err) {
+        if (signal.aborted) return new Response(`Source did not respond within ${fetchTimeoutMs}ms`, { status: 504 });
+        throw err;
+    }
+}
+
+// Body as a Uint8Array, or null (and the stream cancelled) once it exceeds maxBytes (0 = unlimited)
+async function readLimitedBody(response, maxBytes) {
+    const declared = parseInt(response.headers.get("Content-Length") || "");
+    if (maxBytes > 0 && declared > maxBytes) {
+        await response.body?.cancel().catch(() => {});
+        return null;
+    }
+    if (!response.body) return new Uint8Array(0);
+    const reader = response.body.getReader();
+    const chunks = [];
+    let total = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        total += value.byteLength;
+        if (maxBytes > 0 && total > maxBytes) {
+            await reader.cancel().catch(() => {});
+            return null;
+        }
+        chunks.push(value);
+    }
+    return Buffer.concat(chunks, total);
+}
@@ -8,8 +8,17 @@ const TRANSFORM_QUERY_KEYS = new Set([
     "quality",
     "removebg",
     "transparent",
+    "signature",
+    "expires",
+    "preset",
+    "fit",
+    "gravity",
+    "fp",
 ]);
 
+/** Optional path segment naming a preset: /image/preset:{name}/{remoteUrl} */
+const PRESET_SEGMENT_PREFIX = "preset:";
+
 /**
  * Strip transform params from the request's search string, preserving order and encoding
  * of remaining segments (important for presigned URLs).
@@ -41,12 +50,23 @@ export function stripTransformParamsFromSearch(search) {
 /**
  * Decode /image/{remoteUrl} path into a full remote URL. If the presigned query was split
  * onto the outer request (unencoded `?`), merge it back.
+ * /image/local/{path} (or an encoded `local:///{path}`) becomes a `local:///{path}` source (see local-source.js),
+ * /image/s3://{bucket}/{key} an `s3://` source (see s3-source.js).
  * @param {URL} requestUrl
- * @returns {string} full http(s) source URL for fetching
+ * @returns {string} full http(s) source URL for fetching, or a `local:///` or `s3://` source
  */
 export function parseImageSourceFromRequest(requestUrl) {
-    let src = requestUrl.pathname.split("/").slice(2).join("/");
+    const segments = requestUrl.pathname.split("/").slice(2);
+    if (segments[0]?.startsWith(PRESET_SEGMENT_PREFIX)) segments.shift();
+    let src = segments.join("/");
     src = decodeURIComponent(src);
+    const local = src.match(/^local(?::\/*|\/+)(.*)$/s);
+    if (local) {
+        return `local:///${local[1]}`;
+    }
+    if (/^s3:\/+/.test(src)) {
+        return src.replace(/^s3:\/+/, "s3://");
+    }
     if (src.startsWith("https:/") && !src.startsWith("https://")) {
         src = src.replace("https:/", "https://");
     }
@@ -63,9 +83,23 @@ export function parseImageSourceFromRequest(requestUrl) {
     return src;
 }
 
+/**
+ * Preset named by the /image/preset:{name}/ path segment, or the `preset` query param.
+ * @param {URL} requestUrl
+ * @returns {string | null}
+ */
+export function parseImagePresetFromRequest(requestUrl) {
+    const segment = requestUrl.pathname.split("/")[2] || "";
+    if (segment.startsWith(PRESET_SEGMENT_PREFIX)) {
+        return decodeURIComponent(segment.slice(PRESET_SEGMENT_PREFIX.length)) || null;
+    }
+    return requestUrl.searchParams.get("preset") || null;
+}
+
 /**
  * True if the remote URL uses AWS SigV4-style presigning (R2, S3, etc.).
- * Those URLs should not be read from or written to the derivative cache.
+ * Those URLs are not read from or written to the derivative cache unless PRESIGNED_SOURCE_CACHE
+ * is on (see presigned-source.js).
  */
 export function isAwsPresignedSourceUrl(src) {
     try {
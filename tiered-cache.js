@@ -0,0 +1,69 @@
+/**
+ * Two-tier cache: a small, fast `hot` store (in-process memory) in front of a shared `cold`
+ * store (disk or S3). Reads fall through to the cold tier and populate the hot tier;
+ * writes go to both. Locks, listing and the source index act on the cold tier, which is the
+ * source of truth shared between replicas (a purge only clears this replica's hot tier).
+ * @param {object} hot - cache backend, usually createMemoryCache()
+ * @param {object} cold - cache backend, createDiskCache() or createS3Cache()
+ */
+export function createTieredCache(hot, cold) {
+    async function read(key) {
+        const hotEntry = await hot.read(key);
+        if (hotEntry) return hotEntry;
+        const coldEntry = await cold.read(key);
+        if (coldEntry) {
+            await hot.write(
+                key,
+                coldEntry.body,
+                coldEntry.headers,
+                coldEntry.status,
+                coldEntry.statusText,
+                coldEntry.isTransparent
+            );
+        }
+        return coldEntry;
+    }
+
+    async function readMetadata(key) {
+        return (await hot.readMetadata(key)) || (await cold.readMetadata(key));
+    }
+
+    async function write(key, data, headers, status, statusText, isTransparent = false) {
+        const [hotWritten, coldWritten] = await Promise.all([
+            hot.write(key, data, headers, status, statusText, isTransparent),
+            cold.write(key, data, headers, status, statusText, isTransparent),
+        ]);
+        return hotWritten && coldWritten;
+    }
+
+    async function remove(key) {
+        const [hotRemoved, coldRemoved] = await Promise.all([hot.delete(key), cold.delete(key)]);
+        return hotRemoved || coldRemoved;
+    }
+
+    async function stats() {
+        const [coldStats, hotStats] = await Promise.all([cold.stats(), hot.stats()]);
+        return { ...coldStats, memoryTier: hotStats };
+    }
+
+    const tiered = {
+        name: cold.name,
+        location: cold.location,
+        tiers: [hot.name, cold.name],
+        read,
+        readMetadata,
+        write,
+        delete: remove,
+        stats,
+        list: () => cold.list(),
+        indexSource: (src, key) => cold.indexSource(src, key),
+        sourceKeys: (src) => cold.sourceKeys(src),
+        indexedSources: (prefix) => cold.indexedSources(prefix),
+        dropSourceIndex: (src) => cold.dropSourceIndex(src),
+    };
+    if (cold.acquireLock) {
+        tiered.acquireLock = (key) => cold.acquireLock(key);
+        tiered.releaseLock = (key) => cold.releaseLock(key);
+    }
+    return tiered;
+}
@@ -0,0 +1,189 @@
+/**
+ * Validation and canonicalization of /image/ transform parameters. Values are normalized
+ * before they reach getCacheKey() (so `quality=075` and `quality=75` share a cache entry)
+ * and rejected with a description of the offending parameter instead of producing
+ * confusing imgproxy errors.
+ *
+ * Optional: MAX_WIDTH / MAX_HEIGHT (default 8192), MIN_QUALITY / MAX_QUALITY (default 1 / 100).
+ *
+ * Layout: `fit` (cover, contain, inside, outside, fill — same meaning as in sharp), `gravity`
+ * (compass direction or smart/attention) and a focal point `fp=x,y` (fractions 0–1).
+ */
+
+const maxWidth = parseInt(process?.env?.MAX_WIDTH || "8192", 10) || 8192;
+const maxHeight = parseInt(process?.env?.MAX_HEIGHT || "8192", 10) || 8192;
+const minQuality = parseInt(process?.env?.MIN_QUALITY || "1", 10) || 1;
+const maxQuality = parseInt(process?.env?.MAX_QUALITY || "100", 10) || 100;
+
+export const DEFAULT_QUALITY = 75;
+
+export const DEFAULT_FIT = "cover";
+export const FIT_MODES = ["cover", "contain", "inside", "outside", "fill"];
+
+/** Accepted gravity spellings -> imgproxy gravity type */
+const GRAVITY_ALIASES = {
+    north: "no", n: "no", top: "no", no: "no",
+    south: "so", s: "so", bottom: "so", so: "so",
+    east: "ea", e: "ea", right: "ea", ea: "ea",
+    west: "we", w: "we", left: "we", we: "we",
+    northeast: "noea", ne: "noea", noea: "noea",
+    northwest: "nowe", nw: "nowe", nowe: "nowe",
+    southeast: "soea", se: "soea", soea: "soea",
+    southwest: "sowe", sw: "sowe", sowe: "sowe",
+    center: "ce", centre: "ce", ce: "ce",
+    smart: "sm", attention: "sm", sm: "sm",
+};
+
+const BOOLEAN_VALUES = {
+    "true": true,
+    "1": true,
+    "false": false,
+    "0": false,
+};
+
+/**
+ * @param {URLSearchParams} searchParams
+ * @param {string} name
+ * @param {number} min
+ * @param {number} max
+ * @param {number} fallback - used when the parameter is absent or empty
+ * @param {object[]} errors - collects `{ parameter, value, message }`
+ */
+function parseIntegerParam(searchParams, name, min, max, fallback, errors) {
+    const values = searchParams.getAll(name);
+    if (values.length > 1) {
+        errors.push({ parameter: name, value: values, message: "must be given at most once" });
+        return fallback;
+    }
+    const raw = values[0]?.trim();
+    if (!raw) return fallback;
+    if (!/^\d+$/.test(raw) || parseInt(raw, 10) < min || parseInt(raw, 10) > max) {
+        errors.push({ parameter: name, value: raw, message: `must be an integer between ${min} and ${max}` });
+        return fallback;
+    }
+    return parseInt(raw, 10);
+}
+
+function parseBooleanParam(searchParams, name, errors) {
+    const raw = searchParams.get(name)?.trim().toLowerCase();
+    if (!raw) return false;
+    if (!(raw in BOOLEAN_VALUES)) {
+        errors.push({ parameter: name, value: raw, message: "must be true or false" });
+        return false;
+    }
+    return BOOLEAN_VALUES[raw];
+}
+
+function parseFitParam(searchParams, errors) {
+    const raw = searchParams.get("fit")?.trim().toLowerCase();
+    if (!raw) return DEFAULT_FIT;
+    if (!FIT_MODES.includes(raw)) {
+        errors.push({ parameter: "fit", value: raw, message: `must be one of ${FIT_MODES.join(", ")}` });
+        return DEFAULT_FIT;
+    }
+    return raw;
+}
+
+// Returns the imgproxy gravity ("no", "sm", "fp:0.5:0.25", ...) or null for the default (center)
+function parseGravityParams(searchParams, errors) {
+    const rawGravity = searchParams.get("gravity")?.trim().toLowerCase();
+    const rawFp = searchParams.get("fp")?.trim();
+    if (rawGravity && rawFp) {
+        errors.push({ parameter: "fp", value: rawFp, message: "cannot be combined with gravity" });
+        return null;
+    }
+    if (rawFp) {
+        const parts = rawFp.split(",").map((p) => p.trim());
+        const valid = parts.length === 2 && parts.every((p) => /^(0(\.\d+)?|1(\.0+)?|\.\d+)$/.test(p));
+        if (!valid) {
+            errors.push({ parameter: "fp", value: rawFp, message: "must be x,y with both between 0 and 1" });
+            return null;
+        }
+        // Canonical form so "0.50,0.3" and "0.5,0.30" share a cache entry
+        const [x, y] = parts.map((p) => Number(Number(p).toFixed(4)));
+        return `fp:${x}:${y}`;
+    }
+    if (!rawGravity) return null;
+    const gravity = GRAVITY_ALIASES[rawGravity];
+    if (!gravity) {
+        errors.push({
+            parameter: "gravity",
+            value: rawGravity,
+            message: "must be a compass direction (north, northeast, east, …, center) or smart",
+        });
+        return null;
+    }
+    return gravity === "ce" ? null : gravity;
+}
+
+/**
+ * Cache-key / signature fragment for the layout; empty for the default (cover, centered),
+ * so keys of requests without layout parameters are unchanged.
+ * @param {{ fit: string, gravity: string | null }} params
+ */
+export function describeLayout({ fit = DEFAULT_FIT, gravity = null }) {
+    if (fit === DEFAULT_FIT && !gravity) return "";
+    return `${fit}:${gravity || "ce"}`;
+}
+
+/**
+ * Output size of a removeBg render: the requested box, or a square when only one side is
+ * given (256px when neither is).
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ width: number, height: number }}
+ */
+export function backgroundRemovalBox(width, height) {
+    if (width && height) return { width, height };
+    const side = width || height || 256;
+    return { width: side, height: side };
+}
+
+/**
+ * Parse the transform parameters of an /image/ request.
+ * @param {URLSearchParams} searchParams
+ * @returns {{ params: { width: number, height: number, quality: number, removeBg: boolean, fit: string, gravity: string | null } }
+ *   | { errors: { parameter: string, value: unknown, message: string }[] }}
+ */
+export function parseTransformParams(searchParams) {
+    const errors = [];
+    const width = parseIntegerParam(searchParams, "width", 0, maxWidth, 0, errors);
+    const height = parseIntegerParam(searchParams, "height", 0, maxHeight, 0, errors);
+    const quality = parseIntegerParam(searchParams, "quality", minQuality, maxQuality, DEFAULT_QUALITY, errors);
+    // `transparent` is an alias of `removeBg`
+    const removeBg = parseBooleanParam(searchParams, "removeBg", errors);
+    const transparent = parseBooleanParam(searchParams, "transparent", errors);
+    const fit = parseFitParam(searchParams, errors);
+    const gravity = parseGravityParams(searchParams, errors);
+    const gravityParam = searchParams.has("fp") ? "fp" : "gravity";
+    if ((removeBg || transparent) && (fit !== DEFAULT_FIT || gravity)) {
+        // Background removal always trims, fits and pads to the requested box
+        const parameter = fit !== DEFAULT_FIT ? "fit" : gravityParam;
+        errors.push({ parameter, value: searchParams.get(parameter), message: "cannot be combined with removeBg" });
+    } else if (gravity && fit !== "cover" && fit !== "contain") {
+        // Only cover crops and only contain pads; the other modes keep the whole image
+        errors.push({ parameter: gravityParam, value: searchParams.get(gravityParam), message: `has no effect with fit=${fit}` });
+    } else if (fit === "contain" && (gravity === "sm" || gravity?.startsWith("fp:"))) {
+        errors.push({ parameter: gravityParam, value: searchParams.get(gravityParam), message: "smart and focal-point gravity require fit=cover" });
+    }
+    if (errors.length > 0) return { errors };
+    return { params: { width, height, quality, removeBg: removeBg || transparent, fit, gravity } };
+}
+
+/**
+ * 400 response listing every rejected parameter.
+ * @param {{ parameter: string, value: unknown, message: string }[]} errors
+ */
+export function invalidParamsResponse(errors) {
+    const body = {
+        error: "Invalid transformation parameters",
+        details: errors.map((e) => ({ ...e, message: `"${e.parameter}" ${e.message}` })),
+    };
+    return new Response(JSON.stringify(body, null, 2), {
+        status: 400,
+        headers: {
+            "Content-Type": "application/json",
+            "Server": "NextImageTransformation",
+        },
+    });
+}
@@ -0,0 +1,238 @@
+const { readFile } = require("node:fs/promises");
+const { parseArgs } = require("node:util");
+const { buildSignedImageUrl } = require("./public-url-signing.js");
+
+// Pre-render derivatives through a running service, so the first visitors after a deploy or cache
+// wipe get cache hits. Sources: text files with one URL per line (# comments), sitemap.xml files or
+// URLs (sitemap indexes are followed; <image:loc> entries and image <loc>s are used) and
+// Next.js `.next/images-manifest.json`, whose deviceSizes/imageSizes/qualities become the matrix.
+//
+//   bun run warm-cache urls.txt https://www.example.com/sitemap.xml --widths 640,1080 --concurrency 8
+
+const USAGE = `Usage: bun run warm-cache [options] <urls.txt | sitemap.xml | sitemap URL | images-manifest.json>...
+
+Options:
+  --service <url>      Service to warm (default: WARM_SERVICE_URL or http://localhost:3000)
+  --widths <list>      Widths to render (default: manifest sizes, else 640,750,828,1080,1200,1920)
+  --qualities <list>   Qualities to render (default: manifest qualities, else 75)
+  --accept <value>     Accept header per variant, repeatable (default: a modern browser's)
+  --next-image         Request /_next/image?url=&w=&q= instead of /image/{url}?width=&quality=
+  --concurrency <n>    Parallel requests (default: 4)
+  --timeout <seconds>  Per-request timeout (default: 60)
+
+/image/ URLs are signed when URL_SIGNING_KEY / URL_SIGNING_SALT are set.`;
+
+const DEFAULT_WIDTHS = [640, 750, 828, 1080, 1200, 1920];
+const DEFAULT_QUALITIES = [75];
+// Output format is negotiated from Accept, so each Accept value caches its own variant
+const DEFAULT_ACCEPT = "image/avif,image/webp,image/apng,image/*,*/*;q=0.8";
+const IMAGE_EXTENSION = /\.(avif|gif|jpe?g|png|svg|tiff?|webp)$/i;
+const MAX_SITEMAP_DEPTH = 3;
+
+const urlSigningKey = process?.env?.URL_SIGNING_KEY?.trim() || "";
+const urlSigningSalt = process?.env?.URL_SIGNING_SALT?.trim() || "";
+
+function parseNumberList(value, name) {
+    const numbers = value.split(",").map((v) => v.trim()).filter(Boolean).map(Number);
+    if (numbers.length === 0 || numbers.some((n) => !Number.isInteger(n) || n <= 0)) {
+        throw new Error(`--${name} must be a comma-separated list of positive integers`);
+    }
+    return numbers;
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+}
+
+function xmlValues(xml, tag) {
+    const pattern = new RegExp(`<${tag}>\\s*(?:<!\\[CDATA\\[)?(.*?)(?:\\]\\]>)?\\s*</${tag}>`, "gs");
+    return [...xml.matchAll(pattern)].map((match) => decodeXmlEntities(match[1].trim()));
+}
+
+// Sitemap entries must be absolute http(s) URLs; anything else is skipped with a warning
+function validSitemapUrls(values, location) {
+    return values.filter((loc) => {
+        try {
+            if (/^https?:$/.test(new URL(loc).protocol)) return true;
+        } catch {
+            // Relative or malformed - reported below
+        }
+        console.warn(`Skipping invalid <loc> in ${location}: ${loc}`);
+        return false;
+    });
+}
+
+async function readInput(location) {
+    if (/^https?:\/\//i.test(location)) {
+        const response = await fetch(location, { signal: AbortSignal.timeout(30000) });
+        if (!response.ok) throw new Error(`${location} returned ${response.status}`);
+        return await response.text();
+    }
+    return await readFile(location, "utf8");
+}
+
+async function readSitemap(location, depth = 0) {
+    const xml = await readInput(location);
+    if (/<sitemapindex[\s>]/.test(xml)) {
+        if (depth >= MAX_SITEMAP_DEPTH) throw new Error(`Sitemap indexes nested too deeply at ${location}`);
+        const urls = [];
+        for (const nested of validSitemapUrls(xmlValues(xml, "loc"), location)) {
+            urls.push(...(await readSitemap(nested, depth + 1)));
+        }
+        return urls;
+    }
+    const images = validSitemapUrls(xmlValues(xml, "image:loc"), location);
+    const pages = validSitemapUrls(xmlValues(xml, "loc"), location).filter((loc) => IMAGE_EXTENSION.test(new URL(loc).pathname));
+    return [...images, ...pages];
+}
+
+async function readUrlList(path) {
+    return (await readInput(path))
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith("#"));
+}
+
+// Next.js images-manifest.json: { images: { deviceSizes, imageSizes, qualities? } }
+async function readImagesManifest(path) {
+    const { images } = JSON.parse(await readInput(path));
+    if (!images) throw new Error(`${path} has no "images" section`);
+    const widths = [...new Set([...(images.deviceSizes || []), ...(images.imageSizes || [])])].sort((a, b) => a - b);
+    return { widths, qualities: images.qualities?.length ? images.qualities : null };
+}
+
+function buildWarmUrl(service, src, width, quality, nextImage) {
+    if (nextImage) {
+        return `${service}/_next/image?url=${encodeURIComponent(src)}&w=${width}&q=${quality}`;
+    }
+    if (urlSigningKey) {
+        return buildSignedImageUrl(service, src, { width, quality }, urlSigningKey, urlSigningSalt);
+    }
+    return `${service}/image/${encodeURIComponent(src)}?width=${width}&quality=${quality}`;
+}
+
+async function warmOne(job, timeoutMs, summary) {
+    try {
+        const response = await fetch(job.url, {
+            headers: { "Accept": job.accept },
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        await response.arrayBuffer();
+        const cache = response.headers.get("X-Cache") || "";
+        if (!response.ok) {
+            summary.errors++;
+            console.error(`${response.status} ${job.url}`);
+        } else if (cache.startsWith("HIT")) {
+            summary.hits++;
+        } else if (cache === "MISS" || cache === "COALESCED") {
+            summary.misses++;
+        } else {
+            // STALE / FALLBACK (renderer failing), BYPASS / SKIP: served, but nothing was cached
+            summary.notCached++;
+            console.error(`${response.status} ${cache || "no X-Cache"} ${job.url}`);
+        }
+    } catch (error) {
+        summary.errors++;
+        console.error(`Error warming ${job.url}:`, error.message);
+    }
+}
+
+async function warmCache() {
+    let options;
+    try {
+        options = parseArgs({
+            options: {
+                "service": { type: "string" },
+                "widths": { type: "string" },
+                "qualities": { type: "string" },
+                "accept": { type: "string", multiple: true },
+                "next-image": { type: "boolean", default: false },
+                "concurrency": { type: "string", default: "4" },
+                "timeout": { type: "string", default: "60" },
+                "help": { type: "boolean", short: "h", default: false },
+            },
+            allowPositionals: true,
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    const { values, positionals } = options;
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+
+    try {
+        const service = (values.service || process?.env?.WARM_SERVICE_URL || "http://localhost:3000").replace(/\/$/, "");
+        const concurrency = parseNumberList(values.concurrency, "concurrency")[0];
+        const timeoutMs = parseNumberList(values.timeout, "timeout")[0] * 1000;
+        const explicitWidths = values.widths ? parseNumberList(values.widths, "widths") : null;
+        const explicitQualities = values.qualities ? parseNumberList(values.qualities, "qualities") : null;
+
+        const sources = new Set();
+        let manifest = null;
+        for (const input of positionals) {
+            if (/\.json$/i.test(input)) {
+                manifest = await readImagesManifest(input);
+                console.log(`Read ${manifest.widths.length} widths from ${input}`);
+                continue;
+            }
+            const urls = /\.xml$/i.test(new URL(input, "file:///").pathname) ? await readSitemap(input) : await readUrlList(input);
+            urls.forEach((url) => sources.add(url));
+            console.log(`Read ${urls.length} source URLs from ${input}`);
+        }
+        if (sources.size === 0) {
+            console.log("No source URLs found. Nothing to warm.");
+            return;
+        }
+
+        const widths = explicitWidths || manifest?.widths || DEFAULT_WIDTHS;
+        const qualities = explicitQualities || manifest?.qualities || DEFAULT_QUALITIES;
+        const accepts = values.accept?.length ? values.accept : [DEFAULT_ACCEPT];
+        const jobs = [];
+        for (const src of sources) {
+            for (const width of widths) {
+                for (const quality of qualities) {
+                    const url = buildWarmUrl(service, src, width, quality, values["next-image"]);
+                    for (const accept of accepts) jobs.push({ url, accept });
+                }
+            }
+        }
+
+        console.log(`Warming ${jobs.length} derivatives of ${sources.size} sources on ${service} (concurrency ${concurrency})...\n`);
+        const summary = { hits: 0, misses: 0, notCached: 0, errors: 0 };
+        const startedAt = Date.now();
+        let next = 0;
+        let done = 0;
+        // Fixed pool of workers pulling the next job, so at most `concurrency` requests are in flight
+        await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, async () => {
+            while (next < jobs.length) {
+                await warmOne(jobs[next++], timeoutMs, summary);
+                done++;
+                // Progress reporting every 100 requests
+                if (done % 100 === 0) {
+                    console.log(`Processed ${done}/${jobs.length}... (${summary.hits} hits, ${summary.misses} misses, ${summary.notCached} not cached, ${summary.errors} errors)`);
+                }
+            }
+        }));
+
+        console.log(`\nWarm-up complete in ${((Date.now() - startedAt) / 1000).toFixed(1)}s!`);
+        console.log(`  - Already cached (hit): ${summary.hits}`);
+        console.log(`  - Rendered (miss): ${summary.misses}`);
+        console.log(`  - Not cached (stale, fallback, bypass or skip): ${summary.notCached}`);
+        console.log(`  - Errors: ${summary.errors}`);
+        if (summary.errors > 0 || summary.notCached > 0) process.exitCode = 1;
+    } catch (error) {
+        console.error("Fatal error during warm-up:", error.message);
+        process.exit(1);
+    }
+}
+
+// Run the warm-up
+warmCache();